@@ -0,0 +1,333 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const Session = require('../models/Session');
+const ModAction = require('../models/ModAction');
+const { validationResult } = require('express-validator');
+const { applyModAction } = require('../utils/moderation');
+
+// @desc    Suspend a user site-wide
+// @route   POST /api/admin/users/:username/suspend
+// @access  Private (admins)
+exports.suspendUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Admins cannot be suspended'
+      });
+    }
+
+    // Duration in days; indefinite when omitted
+    user.suspended = true;
+    user.suspendedUntil = req.body.duration
+      ? new Date(Date.now() + Number(req.body.duration) * 24 * 60 * 60 * 1000)
+      : null;
+    user.suspensionReason = req.body.reason || '';
+    await user.save();
+
+    // Sign the user out everywhere
+    await Session.revokeAll(user._id, 'suspended');
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   POST /api/admin/users/:username/unsuspend
+// @access  Private (admins)
+exports.unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.isSuspended()) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is not suspended'
+      });
+    }
+
+    user.suspended = false;
+    user.suspendedUntil = null;
+    user.suspensionReason = '';
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change a user's site role
+// @route   PUT /api/admin/users/:username/role
+// @access  Private (admins)
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Keep at least one admin around
+    if (user._id.equals(req.user._id) && req.body.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own admin role'
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Remove or approve any post or comment, logged in its community's mod log
+const moderateItem = (itemModel, action) => async (req, res, next) => {
+  try {
+    const item = await (itemModel === 'Post' ? Post : Comment).findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `${itemModel} not found`
+      });
+    }
+
+    const post = itemModel === 'Post'
+      ? item
+      : await Post.findById(item.post).select('community');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    await applyModAction(item, action, req.user.id, post.community, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove any post
+// @route   POST /api/admin/posts/:id/remove
+// @access  Private (admins)
+exports.removePost = moderateItem('Post', 'remove');
+
+// @desc    Approve any post, reversing any removal
+// @route   POST /api/admin/posts/:id/approve
+// @access  Private (admins)
+exports.approvePost = moderateItem('Post', 'approve');
+
+// @desc    Remove any comment
+// @route   POST /api/admin/comments/:id/remove
+// @access  Private (admins)
+exports.removeComment = moderateItem('Comment', 'remove');
+
+// @desc    Approve any comment, reversing any removal
+// @route   POST /api/admin/comments/:id/approve
+// @access  Private (admins)
+exports.approveComment = moderateItem('Comment', 'approve');
+
+// @desc    Take over a community, making the admin (or another user) its
+//          creator and most senior moderator
+// @route   POST /api/admin/communities/:name/takeover
+// @access  Private (admins)
+exports.takeoverCommunity = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    const user = req.body.username
+      ? await User.findOne({ username: req.body.username })
+      : req.user;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const previousCreator = community.creator;
+    const mod = community.getModerator(user._id);
+
+    community.moderators = [
+      { user: user._id, permissions: ['all'], addedAt: mod ? mod.addedAt : Date.now() },
+      ...community.moderators.filter(other => !other.user.equals(user._id))
+    ];
+    community.moderatorInvites = community.moderatorInvites
+      .filter(invite => !invite.user.equals(user._id));
+    community.creator = user._id;
+
+    if (!community.members.some(member => member.equals(user._id))) {
+      community.members.push(user._id);
+    }
+
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'admin_takeover',
+      targetUser: user._id,
+      reason: req.body.reason,
+      details: { previousCreator }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: community
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Ban a community, hiding it and its posts from everyone but admins
+// @route   POST /api/admin/communities/:name/ban
+// @access  Private (admins)
+exports.banCommunity = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (community.banned) {
+      return res.status(400).json({
+        success: false,
+        error: 'Community is already banned'
+      });
+    }
+
+    community.banned = true;
+    community.bannedReason = req.body.reason || '';
+    community.bannedAt = Date.now();
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'ban_community',
+      reason: community.bannedReason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: community
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Lift a community ban
+// @route   POST /api/admin/communities/:name/unban
+// @access  Private (admins)
+exports.unbanCommunity = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.banned) {
+      return res.status(400).json({
+        success: false,
+        error: 'Community is not banned'
+      });
+    }
+
+    community.banned = false;
+    community.bannedReason = '';
+    community.bannedAt = undefined;
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'unban_community',
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: community
+    });
+  } catch (err) {
+    next(err);
+  }
+};
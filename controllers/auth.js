@@ -1,6 +1,15 @@
 
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
 const { validationResult } = require('express-validator');
+const { sendMail, getClientUrl } = require('../utils/mailer');
+const loginThrottle = require('../utils/loginThrottle');
+
+// Fields needed to check two-factor codes
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep';
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -17,6 +26,20 @@ exports.register = async (req, res, next) => {
 
     const { username, email, password } = req.body;
 
+    if (User.isReservedUsername(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'That username is reserved'
+      });
+    }
+
+    if (User.isReservedEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'That email is reserved'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -36,7 +59,14 @@ exports.register = async (req, res, next) => {
       password
     });
 
-    sendTokenResponse(user, 201, res);
+    // A failed email should not fail the registration, the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('Could not send verification email:', err);
+    }
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     next(err);
   }
@@ -57,27 +87,43 @@ exports.login = async (req, res, next) => {
 
     const { username, password } = req.body;
 
+    // Locked accounts and addresses are refused before checking anything
+    if (await rejectIfLocked(username, req, res)) {
+      return;
+    }
+
     // Check if user exists
     const user = await User.findOne({ username }).select('+password');
 
-    if (!user) {
+    // Check if password matches. Unknown usernames still pay for a hash
+    // comparison so response times do not reveal which accounts exist.
+    const isMatch = user
+      ? await user.matchPassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!isMatch) {
+      await recordFailedLogin(username, user, 'invalid_credentials', req);
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
-
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
+    // Accounts with two-factor authentication need a code as a second step.
+    // Failed attempts are only cleared once that succeeds, so the password
+    // alone does not buy more guesses at the code.
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
       });
     }
 
-    sendTokenResponse(user, 200, res);
+    await loginThrottle.registerSuccess(username);
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -99,11 +145,496 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
-// @desc    Logout user / clear cookie
-// @route   GET /api/auth/logout
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = User.verifyTwoFactorChallengeToken(req.body.challengeToken);
+    const user = userId && await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired login challenge'
+      });
+    }
+
+    if (await rejectIfLocked(user.username, req, res)) {
+      return;
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await recordFailedLogin(user.username, user, 'invalid_2fa_code', req);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    await loginThrottle.registerSuccess(user.username);
+
+    await user.save({ validateBeforeSave: false });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Rotating a token that was already used revokes its session
+    const rotated = await Session.rotate(req.body.refreshToken);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedJwtToken(rotated.session),
+      refreshToken: rotated.refreshToken,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Logout user / revoke the current session
+// @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
+    await req.authSession.revoke('logout');
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get active sessions for the logged in user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke one of the logged in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id) && await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await session.revoke('user');
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke all of the logged in user's sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await Session.revokeAll(req.user.id, 'user', {
+      except: req.authSession._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revoked
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+exports.updatePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Check current password
+    if (!(await user.matchPassword(req.body.currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Sign out everywhere, then start a fresh session for this device
+    await Session.revokeAll(user._id, 'password_change');
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Send a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the email is registered
+    if (user) {
+      const resetToken = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        const resetUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+
+        await sendMail({
+          to: user.email,
+          subject: 'Password reset',
+          text: `You are receiving this email because a password reset was requested for your account.\n\nReset your password here: ${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+        });
+      } catch (err) {
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        return next(err);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: 'If that email is registered, a reset link has been sent'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reset password
+// @route   PUT /api/auth/reset-password/:resettoken
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.resettoken),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // Tokens are single use
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    await Session.revokeAll(user._id, 'password_reset');
+
+    // The reset link only proves control of the mailbox, so accounts with
+    // two-factor authentication still need a code to sign in
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Verify email address
+// @route   PUT /api/auth/verify-email/:verifytoken
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.verifytoken),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      data: 'Verification email sent'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = user.generateTwoFactorSecret();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Confirm two-factor enrolment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { allowRecoveryCode: false })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    // Recovery codes are only ever shown once
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (
+      !(await user.matchPassword(req.body.password)) ||
+      !user.verifyTwoFactorCode(req.body.code)
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
     res.status(200).json({
       success: true,
       data: {}
@@ -113,10 +644,70 @@ exports.logout = async (req, res, next) => {
   }
 };
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// Hash compared against when a login names an unknown user
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Helper function to count a failed login and keep an audit record of it
+const recordFailedLogin = async (username, user, reason, req) => {
+  await loginThrottle.registerFailure(username, req.ip);
+
+  await LoginAttempt.create({
+    username,
+    user: user ? user._id : null,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    reason
+  });
+};
+
+// Helper function to refuse a login while the account or IP is locked.
+// Returns true if a response was sent. The message is the same whether or not
+// the account exists.
+const rejectIfLocked = async (username, req, res) => {
+  const retryAfter = await loginThrottle.getRetryAfter(username, req.ip);
+
+  if (!retryAfter) {
+    return false;
+  }
+
+  await LoginAttempt.create({
+    username,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    reason: 'locked'
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error: 'Too many failed login attempts, please try again later'
+  });
+
+  return true;
+};
+
+// Helper function to issue a verification token and email it to the user
+const sendVerificationEmail = async user => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${getClientUrl()}/verify-email/${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome, ${user.username}!\n\nPlease confirm your email address here: ${verifyUrl}`
+  });
+};
+
+// Helper function to start a session, get tokens from model and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  // Create session and tokens
+  const { session, refreshToken } = await Session.start(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  const token = user.getSignedJwtToken(session);
 
   // Remove password from output
   user.password = undefined;
@@ -124,6 +715,7 @@ const sendTokenResponse = (user, statusCode, res) => {
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
     data: user
   });
 };
@@ -0,0 +1,160 @@
+const Community = require('../models/Community');
+const ModAction = require('../models/ModAction');
+const { validateRules, evaluateRules } = require('../utils/automod');
+
+// @desc    Get the community's automod rules
+// @route   GET /api/communities/:name/automod
+// @access  Private (moderators with 'config')
+exports.getAutomodRules = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'config')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to configure automod for this community'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: community.automodRules.length,
+      data: community.automodRules
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Replace the community's automod rules
+// @route   PUT /api/communities/:name/automod
+// @access  Private (moderators with 'config')
+exports.updateAutomodRules = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'config')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to configure automod for this community'
+      });
+    }
+
+    const errors = validateRules(req.body.rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+
+    const previous = community.automodRules.map(rule => rule.toObject());
+
+    community.automodRules = req.body.rules;
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'edit_automod',
+      details: {
+        from: previous,
+        to: community.automodRules
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: community.automodRules.length,
+      data: community.automodRules
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Check what automod would do to a sample submission, using the
+//          saved rules or the `rules` given
+// @route   POST /api/communities/:name/automod/test
+// @access  Private (moderators with 'config')
+exports.testAutomodRules = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'config')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to configure automod for this community'
+      });
+    }
+
+    let rules = community.automodRules;
+
+    if (req.body.rules !== undefined) {
+      const errors = validateRules(req.body.rules);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors
+        });
+      }
+
+      rules = req.body.rules;
+    }
+
+    const kind = req.body.type || 'post';
+
+    if (!['post', 'comment'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be post or comment'
+      });
+    }
+
+    // The sample author defaults to the moderator running the test
+    const accountAge = req.body.accountAge !== undefined
+      ? Number(req.body.accountAge)
+      : (Date.now() - req.user.createdAt) / (24 * 60 * 60 * 1000);
+    const karma = req.body.karma !== undefined ? Number(req.body.karma) : req.user.karma;
+
+    const result = evaluateRules(rules, {
+      kind,
+      title: req.body.title,
+      content: req.body.content,
+      url: req.body.url,
+      image: req.body.image,
+      author: {
+        createdAt: new Date(Date.now() - accountAge * 24 * 60 * 60 * 1000),
+        karma
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,205 @@
+const Community = require('../models/Community');
+const CommunityBan = require('../models/CommunityBan');
+const User = require('../models/User');
+const ModAction = require('../models/ModAction');
+const { validationResult } = require('express-validator');
+
+// Bans and mutes share the same handlers, parameterised by type
+
+const listRestrictions = type => async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    const restrictions = await CommunityBan.find({
+      community: community._id,
+      type,
+      ...CommunityBan.activeFilter()
+    })
+      .populate('user', 'username')
+      .populate('bannedBy', 'username')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: restrictions.length,
+      data: restrictions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const addRestriction = type => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.body.username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (community.isModerator(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Moderators cannot be ${type === 'ban' ? 'banned' : 'muted'}`
+      });
+    }
+
+    // Duration in days; permanent when omitted
+    const days = Number(req.body.duration);
+    const expiresAt = req.body.duration
+      ? new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      : null;
+
+    // Restricting an already restricted user replaces the earlier terms
+    const restriction = await CommunityBan.findOneAndUpdate(
+      { community: community._id, user: user._id, type },
+      {
+        reason: req.body.reason || '',
+        modNote: req.body.modNote || '',
+        bannedBy: req.user.id,
+        expiresAt,
+        createdAt: Date.now()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: `${type}_user`,
+      targetUser: user._id,
+      reason: restriction.reason,
+      details: {
+        expiresAt,
+        modNote: restriction.modNote
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: restriction
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const removeRestriction = type => async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+    const restriction = user && await CommunityBan.findOneAndDelete({
+      community: community._id,
+      user: user._id,
+      type
+    });
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        error: `User is not ${type === 'ban' ? 'banned' : 'muted'}`
+      });
+    }
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: `un${type}_user`,
+      targetUser: user._id,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get banned users
+// @route   GET /api/communities/:name/bans
+// @access  Private (moderators with 'users')
+exports.getBans = listRestrictions('ban');
+
+// @desc    Ban a user from the community
+// @route   POST /api/communities/:name/bans
+// @access  Private (moderators with 'users')
+exports.banUser = addRestriction('ban');
+
+// @desc    Lift a ban
+// @route   DELETE /api/communities/:name/bans/:username
+// @access  Private (moderators with 'users')
+exports.unbanUser = removeRestriction('ban');
+
+// @desc    Get muted users
+// @route   GET /api/communities/:name/mutes
+// @access  Private (moderators with 'users')
+exports.getMutes = listRestrictions('mute');
+
+// @desc    Mute a user in the community
+// @route   POST /api/communities/:name/mutes
+// @access  Private (moderators with 'users')
+exports.muteUser = addRestriction('mute');
+
+// @desc    Lift a mute
+// @route   DELETE /api/communities/:name/mutes/:username
+// @access  Private (moderators with 'users')
+exports.unmuteUser = removeRestriction('mute');
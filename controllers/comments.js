@@ -1,7 +1,19 @@
 
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const Community = require('../models/Community');
+const CommunityBan = require('../models/CommunityBan');
 const { validationResult } = require('express-validator');
+const { castVote, attachUserVotes } = require('../utils/votes');
+const { applyModAction } = require('../utils/moderation');
+const { canModerate, redactComments } = require('../utils/redact');
+const {
+  parseTreeOptions,
+  parseContext,
+  loadPostComments,
+  buildCommentTree,
+  buildPermalinkTree
+} = require('../utils/commentTree');
 
 // @desc    Get single comment
 // @route   GET /api/comments/:id
@@ -10,7 +22,7 @@ exports.getComment = async (req, res, next) => {
   try {
     const comment = await Comment.findById(req.params.id)
       .populate('author', 'username')
-      .populate('post', 'title');
+      .populate('post', 'title community');
 
     if (!comment) {
       return res.status(404).json({
@@ -19,9 +31,32 @@ exports.getComment = async (req, res, next) => {
       });
     }
 
+    if (!comment.post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(comment.post.community);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    // Moderators can still see removed content
+    const isModerator = await canModerate(community._id, req.user);
+    const [data] = await attachUserVotes(
+      redactComments([comment.toObject()], isModerator),
+      req.user
+    );
+
     res.status(200).json({
       success: true,
-      data: comment
+      data
     });
   } catch (err) {
     next(err);
@@ -58,6 +93,13 @@ exports.updateComment = async (req, res, next) => {
       });
     }
 
+    if (comment.deleted) {
+      return res.status(400).json({
+        success: false,
+        error: 'Deleted comments cannot be edited'
+      });
+    }
+
     comment = await Comment.findByIdAndUpdate(
       req.params.id,
       { content: req.body.content },
@@ -90,30 +132,47 @@ exports.deleteComment = async (req, res, next) => {
       });
     }
 
-    // Get post to check if user is post author or community moderator
+    if (comment.deleted) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment has already been deleted'
+      });
+    }
+
+    // Authors delete their own comments. Replies are kept and the comment
+    // renders as [deleted], so the post's comment count is unchanged.
+    if (comment.author.toString() === req.user.id) {
+      comment.deleted = true;
+      comment.deletedAt = Date.now();
+      comment.content = '[deleted]';
+      await comment.save();
+
+      return res.status(200).json({
+        success: true,
+        data: {}
+      });
+    }
+
+    // Community moderators remove comments instead, which can be reversed
     const post = await Post.findById(comment.post);
-    
-    // Make sure user is comment author or post author
-    if (
-      comment.author.toString() !== req.user.id &&
-      post.author.toString() !== req.user.id
-    ) {
-      return res.status(401).json({
+
+    if (!post) {
+      return res.status(404).json({
         success: false,
-        error: 'Not authorized to delete this comment'
+        error: 'Post not found'
       });
     }
 
-    // Delete all replies to this comment
-    await Comment.deleteMany({ parent: comment._id });
+    const community = await Community.findById(post.community);
 
-    // Update post comment count
-    post.commentCount -= 1; // Decrease by 1 for the comment itself
-    const repliesCount = await Comment.countDocuments({ parent: comment._id });
-    post.commentCount -= repliesCount; // Decrease by the number of replies
-    await post.save();
+    if (!community.hasModPermission(req.user.id, 'comments')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to delete this comment'
+      });
+    }
 
-    await comment.remove();
+    await applyModAction(comment, 'remove', req.user.id, community._id, req.body.reason);
 
     res.status(200).json({
       success: true,
@@ -148,38 +207,44 @@ exports.voteComment = async (req, res, next) => {
       });
     }
 
-    // Check if user has already voted on this comment
-    const upvoted = comment.upvotes.includes(req.user.id);
-    const downvoted = comment.downvotes.includes(req.user.id);
+    const post = await Post.findById(comment.post).select('community');
 
-    // Remove existing vote if any
-    if (upvoted) {
-      comment.upvotes = comment.upvotes.filter(id => id.toString() !== req.user.id);
-    }
-    if (downvoted) {
-      comment.downvotes = comment.downvotes.filter(id => id.toString() !== req.user.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
     }
 
-    // Add new vote if it's different from previous or if there was no previous vote
-    if ((value === 1 && !upvoted) || (value === -1 && !downvoted)) {
-      if (value === 1) {
-        comment.upvotes.push(req.user.id);
-      } else {
-        comment.downvotes.push(req.user.id);
-      }
+    const community = await Community.findById(post.community);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
     }
 
-    // Update vote score
-    comment.voteScore = comment.upvotes.length - comment.downvotes.length;
+    // Banned users cannot vote
+    const restriction = await CommunityBan.findBlocking(community._id, req.user.id, 'vote');
+
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        error: restriction.getMessage()
+      });
+    }
 
-    await comment.save();
+    const { previous, current } = await castVote(req.user.id, comment._id, 'Comment', value);
+    const updated = await Comment.applyVote(comment._id, previous, current);
 
     res.status(200).json({
       success: true,
       data: {
-        voteScore: comment.voteScore,
-        upvotes: comment.upvotes.length,
-        downvotes: comment.downvotes.length
+        voteScore: updated.voteScore,
+        upvotes: updated.upvoteCount,
+        downvotes: updated.downvoteCount,
+        userVote: current
       }
     });
   } catch (err) {
@@ -201,14 +266,186 @@ exports.getCommentReplies = async (req, res, next) => {
       });
     }
 
-    const replies = await Comment.find({ parent: req.params.id })
-      .populate('author', 'username')
-      .sort('-voteScore');
+    const post = await Post.findById(comment.post).select('community author suggestedSort');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    // Same tree, limits and sorts as the post's comments, from this comment
+    const { tree, count } = buildCommentTree(await loadPostComments(post._id), {
+      ...parseTreeOptions(req.query, post),
+      parent: comment._id,
+      opId: post.author
+    });
+
+    const isModerator = await canModerate(community._id, req.user);
+    redactComments(tree, isModerator);
+    await attachUserVotes(tree, req.user);
 
     res.status(200).json({
       success: true,
-      count: replies.length,
-      data: replies
+      count,
+      data: tree
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a comment permalink: the comment with its parent context and
+//          replies, shaped like the post's comment tree
+// @route   GET /api/comments/:id/permalink
+// @access  Public
+exports.getCommentPermalink = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    const post = await Post.findById(comment.post)
+      .select('title community author locked suggestedSort')
+      .populate('community', 'name');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community._id);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    const { tree, count } = buildPermalinkTree(await loadPostComments(post._id), comment._id, {
+      ...parseTreeOptions(req.query, post),
+      context: parseContext(req.query),
+      opId: post.author
+    });
+
+    const isModerator = await canModerate(community._id, req.user);
+    redactComments(tree, isModerator);
+    await attachUserVotes(tree, req.user);
+
+    res.status(200).json({
+      success: true,
+      post: {
+        _id: post._id,
+        title: post.title,
+        community: post.community,
+        locked: post.locked
+      },
+      count,
+      data: tree
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove comment as a moderator
+// @route   POST /api/comments/:id/remove
+// @access  Private (moderators with 'comments')
+exports.removeComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    const post = await Post.findById(comment.post);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community.hasModPermission(req.user.id, 'comments')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to remove this comment'
+      });
+    }
+
+    await applyModAction(comment, 'remove', req.user.id, community._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve comment as a moderator, reversing any removal
+// @route   POST /api/comments/:id/approve
+// @access  Private (moderators with 'comments')
+exports.approveComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    const post = await Post.findById(comment.post);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community.hasModPermission(req.user.id, 'comments')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to approve this comment'
+      });
+    }
+
+    await applyModAction(comment, 'approve', req.user.id, community._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: comment
     });
   } catch (err) {
     next(err);
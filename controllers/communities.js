@@ -2,7 +2,55 @@
 const Community = require('../models/Community');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const CommunityBan = require('../models/CommunityBan');
+const ModAction = require('../models/ModAction');
 const { validationResult } = require('express-validator');
+const { getPostSort } = require('../utils/ranking');
+const { attachUserVotes } = require('../utils/votes');
+const { redactPost } = require('../utils/redact');
+const { parseListQuery, parsePagination } = require('../utils/listQuery');
+const { parseCursor, paginate } = require('../utils/cursor');
+
+// Community settings moderators can change with updateCommunity
+const UPDATABLE_FIELDS = ['description', 'rules', 'type', 'publicModLog'];
+
+// Filters, sorts and fields clients can use when listing communities
+const COMMUNITY_LISTING = {
+  filters: {
+    name: 'string',
+    type: 'string',
+    creator: 'objectId',
+    memberCount: 'number',
+    createdAt: 'date'
+  },
+  sort: ['name', 'memberCount', 'createdAt'],
+  select: [
+    'name',
+    'description',
+    'slug',
+    'type',
+    'creator',
+    'moderators',
+    'memberCount',
+    'rules',
+    'publicModLog',
+    'createdAt'
+  ],
+  defaultSort: '-memberCount',
+  defaultLimit: 10,
+  maxLimit: 100
+};
+
+// Comparable form of a community setting for the mod log
+const settingValue = (community, field) => {
+  const value = community[field];
+
+  if (field === 'rules') {
+    return (value || []).map(({ title, description }) => ({ title, description }));
+  }
+
+  return value;
+};
 
 // @desc    Get all communities
 // @route   GET /api/communities
@@ -11,71 +59,49 @@ exports.getCommunities = async (req, res, next) => {
   try {
     let query;
 
-    // Copy req.query
-    const reqQuery = { ...req.query };
+    const listQuery = parseListQuery(req.query, COMMUNITY_LISTING);
 
-    // Fields to exclude
-    const removeFields = ['select', 'sort', 'page', 'limit'];
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: listQuery.errors
+      });
+    }
 
-    // Loop over removeFields and delete them from reqQuery
-    removeFields.forEach(param => delete reqQuery[param]);
+    const cursor = parseCursor(req.query, listQuery.sort);
 
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery);
+    if (cursor.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursor.error
+      });
+    }
 
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+    // Banned communities and private ones the user cannot see are left out
+    const filter = {
+      ...listQuery.filter,
+      _id: { $nin: await Community.getHiddenIds(req.user) }
+    };
 
     // Finding resource
-    query = Community.find(JSON.parse(queryStr));
+    query = Community.find(filter);
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
-
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-memberCount');
-    }
-
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Community.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
-
-    // Executing query
-    const communities = await query;
-
-    // Pagination result
-    const pagination = {};
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
+    if (listQuery.select) {
+      query = query.select(listQuery.select);
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
-    }
+    // Sort, paginate and execute
+    const { page, limit } = listQuery;
+    const total = await Community.countDocuments(filter);
+    const { items: communities, pagination, cursors } =
+      await paginate(query, cursor, { page, limit, total });
 
     res.status(200).json({
       success: true,
       count: communities.length,
       pagination,
+      cursors,
       data: communities
     });
   } catch (err) {
@@ -90,7 +116,7 @@ exports.getTopCommunities = async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit, 10) || 5;
     
-    const communities = await Community.find()
+    const communities = await Community.find({ _id: { $nin: await Community.getHiddenIds(req.user) } })
       .sort('-memberCount')
       .limit(limit)
       .select('name description memberCount');
@@ -112,7 +138,7 @@ exports.getCommunity = async (req, res, next) => {
   try {
     const community = await Community.findOne({ name: req.params.name })
       .populate('creator', 'username')
-      .populate('moderators', 'username');
+      .populate('moderators.user', 'username');
 
     if (!community) {
       return res.status(404).json({
@@ -121,6 +147,13 @@ exports.getCommunity = async (req, res, next) => {
       });
     }
 
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: community
@@ -154,11 +187,15 @@ exports.createCommunity = async (req, res, next) => {
     }
 
     // Add user as creator and moderator
-    req.body.creator = req.user.id;
-    req.body.moderators = [req.user.id];
-    req.body.members = [req.user.id];
-
-    const community = await Community.create(req.body);
+    const community = await Community.create({
+      name: req.body.name,
+      description: req.body.description,
+      rules: req.body.rules,
+      type: req.body.type,
+      creator: req.user.id,
+      moderators: [{ user: req.user.id, permissions: ['all'] }],
+      members: [req.user.id]
+    });
 
     res.status(201).json({
       success: true,
@@ -183,24 +220,60 @@ exports.updateCommunity = async (req, res, next) => {
       });
     }
 
-    // Make sure user is a moderator
-    if (!community.moderators.includes(req.user.id)) {
+    // Make sure user is a moderator with config permission
+    if (!community.hasModPermission(req.user.id, 'config')) {
       return res.status(401).json({
         success: false,
         error: 'Not authorized to update this community'
       });
     }
 
-    // Don't allow changing the name
-    if (req.body.name) {
-      delete req.body.name;
-    }
+    // Only settings can be changed here; the name is fixed and moderators
+    // are managed through their own endpoints
+    const fieldsToUpdate = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fieldsToUpdate[field] = req.body[field];
+      }
+    });
+
+    const previous = community.toObject();
 
-    community = await Community.findByIdAndUpdate(community._id, req.body, {
+    community = await Community.findByIdAndUpdate(community._id, fieldsToUpdate, {
       new: true,
       runValidators: true
     });
 
+    // Record what changed in the mod log, with rule edits kept separate
+    const changes = {};
+    Object.keys(fieldsToUpdate).forEach(field => {
+      const from = settingValue(previous, field);
+      const to = settingValue(community, field);
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    if (changes.rules) {
+      await ModAction.log({
+        community: community._id,
+        moderator: req.user.id,
+        action: 'edit_rules',
+        details: changes.rules
+      });
+      delete changes.rules;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await ModAction.log({
+        community: community._id,
+        moderator: req.user.id,
+        action: 'edit_settings',
+        details: changes
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: community
@@ -232,6 +305,25 @@ exports.joinCommunity = async (req, res, next) => {
       });
     }
 
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.banned
+          ? community.getViewError()
+          : 'This community is private. Send a join request to join it'
+      });
+    }
+
+    // Banned users cannot join
+    const restriction = await CommunityBan.findBlocking(community._id, req.user.id, 'join');
+
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        error: restriction.getMessage()
+      });
+    }
+
     // Add user to members
     community.members.push(req.user.id);
     await community.save();
@@ -281,12 +373,24 @@ exports.leaveCommunity = async (req, res, next) => {
     community.members = community.members.filter(id => id.toString() !== req.user.id);
     
     // Remove user from moderators if they are one
-    if (community.moderators.includes(req.user.id)) {
-      community.moderators = community.moderators.filter(id => id.toString() !== req.user.id);
-    }
+    const wasModerator = community.isModerator(req.user.id);
+    community.moderators = community.moderators.filter(
+      mod => mod.user.toString() !== req.user.id
+    );
     
     await community.save();
 
+    // Stepping down this way is logged like any other moderator removal
+    if (wasModerator) {
+      await ModAction.log({
+        community: community._id,
+        moderator: req.user.id,
+        action: 'remove_moderator',
+        targetUser: req.user.id,
+        reason: 'Left the community'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -312,51 +416,87 @@ exports.getCommunityPosts = async (req, res, next) => {
       });
     }
 
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Post.countDocuments({ community: community._id });
-
-    // Sort options
-    let sortOption = '-createdAt'; // Default: newest
-    if (req.query.sort === 'top') {
-      sortOption = '-voteScore';
-    } else if (req.query.sort === 'hot') {
-      // For 'hot', we could implement a more complex algorithm
-      // For simplicity, we'll use a combination of votes and recency
-      sortOption = '-voteScore -createdAt';
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
     }
 
-    const posts = await Post.find({ community: community._id })
-      .populate('author', 'username')
-      .populate('community', 'name')
-      .sort(sortOption)
-      .skip(startIndex)
-      .limit(limit);
-
-    // Pagination result
-    const pagination = {};
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
+    // Sort options (default: newest)
+    const ranking = getPostSort(req.query.sort, req.query.t) || getPostSort('new');
+
+    if (ranking.error) {
+      return res.status(400).json({
+        success: false,
+        error: ranking.error
+      });
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
+    // Pagination
+    const { errors, page, limit } = parsePagination(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
     }
 
+    const cursor = parseCursor(req.query, ranking.sort);
+
+    if (cursor.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursor.error
+      });
+    }
+
+    const filter = {
+      community: community._id,
+      removed: { $ne: true },
+      deleted: { $ne: true },
+      // Sticky posts are listed separately
+      stickied: { $ne: true },
+      ...ranking.filter
+    };
+
+    const total = await Post.countDocuments(filter);
+
+    const isModerator = Boolean(req.user) &&
+      (req.user.role === 'admin' || community.isModerator(req.user._id));
+
+    // Sticky posts lead the first page, whatever the sort
+    const stickied = page === 1 && !cursor.direction
+      ? await Post.find({
+        community: community._id,
+        stickied: true,
+        removed: { $ne: true },
+        deleted: { $ne: true }
+      })
+        .populate('author', 'username')
+        .populate('community', 'name')
+        .sort('stickiedAt')
+      : [];
+
+    const { items: listed, pagination, cursors } = await paginate(
+      Post.find(filter)
+        .populate('author', 'username')
+        .populate('community', 'name'),
+      cursor,
+      { page, limit, total }
+    );
+
+    const posts = await attachUserVotes(
+      [...stickied, ...listed].map(post => redactPost(post.toObject(), isModerator)),
+      req.user
+    );
+
     res.status(200).json({
       success: true,
       count: posts.length,
       pagination,
+      cursors,
       data: posts
     });
   } catch (err) {
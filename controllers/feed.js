@@ -0,0 +1,92 @@
+const Post = require('../models/Post');
+const Community = require('../models/Community');
+const { getPostSort } = require('../utils/ranking');
+const { attachUserVotes } = require('../utils/votes');
+const { redactPost } = require('../utils/redact');
+const { parsePagination } = require('../utils/listQuery');
+const { parseCursor, paginate } = require('../utils/cursor');
+
+// @desc    Get home feed (joined communities) or popular feed for anonymous users
+// @route   GET /api/feed
+// @access  Public
+exports.getFeed = async (req, res, next) => {
+  try {
+    let feed = 'popular';
+    const filter = { removed: { $ne: true }, deleted: { $ne: true } };
+
+    // Communities the user cannot see are left out of both feeds
+    const hiddenIds = await Community.getHiddenIds(req.user);
+
+    // Signed-in users get posts from the communities they have joined
+    if (req.user) {
+      const communities = await Community.find({ members: req.user._id, _id: { $nin: hiddenIds } })
+        .select('_id');
+
+      if (communities.length > 0) {
+        feed = 'home';
+        filter.community = { $in: communities.map(community => community._id) };
+      }
+    }
+
+    if (!filter.community) {
+      filter.community = { $nin: hiddenIds };
+    }
+
+    // Sort options (default: hot)
+    const ranking = getPostSort(req.query.sort, req.query.t) || getPostSort('hot');
+
+    if (ranking.error) {
+      return res.status(400).json({
+        success: false,
+        error: ranking.error
+      });
+    }
+
+    Object.assign(filter, ranking.filter);
+
+    // Pagination
+    const { errors, page, limit } = parsePagination(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+
+    const cursor = parseCursor(req.query, ranking.sort);
+
+    if (cursor.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursor.error
+      });
+    }
+
+    const total = await Post.countDocuments(filter);
+
+    const { items, pagination, cursors } = await paginate(
+      Post.find(filter)
+        .populate('author', 'username')
+        .populate('community', 'name'),
+      cursor,
+      { page, limit, total }
+    );
+
+    const posts = await attachUserVotes(
+      items.map(post => redactPost(post.toObject())),
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      feed,
+      count: posts.length,
+      pagination,
+      cursors,
+      data: posts
+    });
+  } catch (err) {
+    next(err);
+  }
+};
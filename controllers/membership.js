@@ -0,0 +1,333 @@
+const Community = require('../models/Community');
+const CommunityBan = require('../models/CommunityBan');
+const User = require('../models/User');
+const ModAction = require('../models/ModAction');
+const { validationResult } = require('express-validator');
+
+// @desc    Get approved submitters
+// @route   GET /api/communities/:name/approved
+// @access  Private (moderators with 'users')
+exports.getApprovedSubmitters = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('approvedSubmitters', 'username');
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: community.approvedSubmitters.length,
+      data: community.approvedSubmitters
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve a user to post (and, in private communities, to view)
+// @route   POST /api/communities/:name/approved
+// @access  Private (moderators with 'users')
+exports.addApprovedSubmitter = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.body.username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (community.isApproved(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already approved'
+      });
+    }
+
+    community.approvedSubmitters.push(user._id);
+    // Approving a user answers their join request
+    community.joinRequests = community.joinRequests
+      .filter(request => !request.user.equals(user._id));
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'approve_submitter',
+      targetUser: user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { _id: user._id, username: user.username }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove an approved submitter
+// @route   DELETE /api/communities/:name/approved/:username
+// @access  Private (moderators with 'users')
+exports.removeApprovedSubmitter = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user || !community.isApproved(user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not approved'
+      });
+    }
+
+    community.approvedSubmitters = community.approvedSubmitters
+      .filter(id => !id.equals(user._id));
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'remove_submitter',
+      targetUser: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Ask to join a restricted or private community
+// @route   POST /api/communities/:name/join-requests
+// @access  Private
+exports.requestToJoin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (community.banned) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    if (community.type === 'public') {
+      return res.status(400).json({
+        success: false,
+        error: 'Anyone can join this community'
+      });
+    }
+
+    if (community.isModerator(req.user.id) || community.isApproved(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already approved in this community'
+      });
+    }
+
+    if (community.joinRequests.some(request => request.user.equals(req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already asked to join this community'
+      });
+    }
+
+    // Banned users cannot ask to join
+    const restriction = await CommunityBan.findBlocking(community._id, req.user.id, 'join');
+
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        error: restriction.getMessage()
+      });
+    }
+
+    community.joinRequests.push({
+      user: req.user.id,
+      message: req.body.message || ''
+    });
+    await community.save();
+
+    res.status(201).json({
+      success: true,
+      data: community.joinRequests[community.joinRequests.length - 1]
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get pending join requests
+// @route   GET /api/communities/:name/join-requests
+// @access  Private (moderators with 'users')
+exports.getJoinRequests = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('joinRequests.user', 'username karma createdAt');
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: community.joinRequests.length,
+      data: community.joinRequests
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Accepting approves the user and adds them to the members; declining just
+// drops the request
+const answerJoinRequest = accept => async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'users')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage users of this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+    const requested = user && community.joinRequests.some(request => request.user.equals(user._id));
+
+    if (!requested) {
+      return res.status(404).json({
+        success: false,
+        error: 'Join request not found'
+      });
+    }
+
+    community.joinRequests = community.joinRequests
+      .filter(request => !request.user.equals(user._id));
+
+    if (accept) {
+      community.approvedSubmitters.push(user._id);
+
+      if (!community.members.some(member => member.equals(user._id))) {
+        community.members.push(user._id);
+      }
+    }
+
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: accept ? 'accept_join_request' : 'decline_join_request',
+      targetUser: user._id,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        memberCount: community.members.length
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Accept a join request
+// @route   POST /api/communities/:name/join-requests/:username/accept
+// @access  Private (moderators with 'users')
+exports.acceptJoinRequest = answerJoinRequest(true);
+
+// @desc    Decline a join request
+// @route   POST /api/communities/:name/join-requests/:username/decline
+// @access  Private (moderators with 'users')
+exports.declineJoinRequest = answerJoinRequest(false);
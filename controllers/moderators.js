@@ -0,0 +1,494 @@
+const Community = require('../models/Community');
+const User = require('../models/User');
+const ModAction = require('../models/ModAction');
+const { validationResult } = require('express-validator');
+
+// Check a permissions list from the request body
+const validPermissions = permissions =>
+  Array.isArray(permissions) &&
+  permissions.length > 0 &&
+  permissions.every(permission => Community.MOD_PERMISSIONS.includes(permission));
+
+// @desc    Get community moderators in order of seniority
+// @route   GET /api/communities/:name/moderators
+// @access  Public
+exports.getModerators = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('moderators.user', 'username');
+
+    // Communities the user cannot see are reported as missing
+    if (!community || !community.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: community.moderators.length,
+      data: community.moderators
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get pending moderator invites
+// @route   GET /api/communities/:name/moderators/invites
+// @access  Private (moderators with 'all')
+exports.getModeratorInvites = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('moderatorInvites.user', 'username')
+      .populate('moderatorInvites.invitedBy', 'username');
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'all')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage moderators of this community'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: community.moderatorInvites.length,
+      data: community.moderatorInvites
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Invite a user to moderate the community
+// @route   POST /api/communities/:name/moderators/invites
+// @access  Private (moderators with 'all')
+exports.inviteModerator = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'all')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage moderators of this community'
+      });
+    }
+
+    const permissions = req.body.permissions || ['all'];
+
+    if (!validPermissions(permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: `Permissions must be a list of: ${Community.MOD_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const user = await User.findOne({ username: req.body.username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (community.isModerator(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already a moderator of this community'
+      });
+    }
+
+    // Re-inviting replaces the earlier invite
+    community.moderatorInvites = community.moderatorInvites.filter(
+      invite => !invite.user.equals(user._id)
+    );
+    community.moderatorInvites.push({
+      user: user._id,
+      permissions,
+      invitedBy: req.user.id
+    });
+
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'invite_moderator',
+      targetUser: user._id,
+      details: { permissions }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: community.moderatorInvites[community.moderatorInvites.length - 1]
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Cancel a pending moderator invite
+// @route   DELETE /api/communities/:name/moderators/invites/:username
+// @access  Private (moderators with 'all')
+exports.cancelModeratorInvite = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, 'all')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage moderators of this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+    const invited = user && community.moderatorInvites.some(invite => invite.user.equals(user._id));
+
+    if (!invited) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found'
+      });
+    }
+
+    community.moderatorInvites = community.moderatorInvites.filter(
+      invite => !invite.user.equals(user._id)
+    );
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'cancel_moderator_invite',
+      targetUser: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Accept a moderator invite
+// @route   POST /api/communities/:name/moderators/accept
+// @access  Private
+exports.acceptModeratorInvite = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    const invite = community.moderatorInvites.find(
+      invite => invite.user.toString() === req.user.id
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'No moderator invite for this community'
+      });
+    }
+
+    community.moderatorInvites = community.moderatorInvites.filter(
+      invite => invite.user.toString() !== req.user.id
+    );
+
+    // New moderators start at the bottom of the hierarchy
+    community.moderators.push({
+      user: req.user.id,
+      permissions: invite.permissions
+    });
+
+    if (!community.members.includes(req.user.id)) {
+      community.members.push(req.user.id);
+    }
+
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'accept_moderator_invite',
+      targetUser: req.user.id,
+      details: { permissions: invite.permissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: community.getModerator(req.user.id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Decline a moderator invite
+// @route   POST /api/communities/:name/moderators/decline
+// @access  Private
+exports.declineModeratorInvite = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    const invited = community.moderatorInvites.some(
+      invite => invite.user.toString() === req.user.id
+    );
+
+    if (!invited) {
+      return res.status(404).json({
+        success: false,
+        error: 'No moderator invite for this community'
+      });
+    }
+
+    community.moderatorInvites = community.moderatorInvites.filter(
+      invite => invite.user.toString() !== req.user.id
+    );
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change a moderator's permissions
+// @route   PUT /api/communities/:name/moderators/:username
+// @access  Private (more senior moderators with 'all')
+exports.updateModeratorPermissions = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!validPermissions(req.body.permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: `Permissions must be a list of: ${Community.MOD_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user || !community.isModerator(user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Moderator not found'
+      });
+    }
+
+    if (!community.canManageModerator(req.user.id, user._id)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to manage this moderator'
+      });
+    }
+
+    const moderator = community.getModerator(user._id);
+    const previousPermissions = [...moderator.permissions];
+
+    moderator.permissions = req.body.permissions;
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'update_moderator_permissions',
+      targetUser: user._id,
+      details: {
+        from: previousPermissions,
+        to: req.body.permissions
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: community.getModerator(user._id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove a moderator, or step down as one
+// @route   DELETE /api/communities/:name/moderators/:username
+// @access  Private (the moderator, or more senior moderators with 'all')
+exports.removeModerator = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user || !community.isModerator(user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Moderator not found'
+      });
+    }
+
+    if (community.creator.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The creator cannot be removed, transfer the community first'
+      });
+    }
+
+    const isSelf = user._id.toString() === req.user.id;
+
+    if (!isSelf && !community.canManageModerator(req.user.id, user._id)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to remove this moderator'
+      });
+    }
+
+    community.moderators = community.moderators.filter(mod => !mod.user.equals(user._id));
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'remove_moderator',
+      targetUser: user._id,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Transfer the community to another moderator
+// @route   POST /api/communities/:name/transfer
+// @access  Private (creator)
+exports.transferCommunity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (community.creator.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Only the creator can transfer this community'
+      });
+    }
+
+    const user = await User.findOne({ username: req.body.username });
+
+    if (!user || !community.isModerator(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The new creator must already be a moderator'
+      });
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already own this community'
+      });
+    }
+
+    // The new creator becomes the most senior moderator with full permissions
+    const mod = community.getModerator(user._id);
+    community.moderators = [
+      { user: mod.user, permissions: ['all'], addedAt: mod.addedAt },
+      ...community.moderators.filter(other => !other.user.equals(user._id))
+    ];
+    community.creator = user._id;
+
+    await community.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action: 'transfer_community',
+      targetUser: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: community
+    });
+  } catch (err) {
+    next(err);
+  }
+};
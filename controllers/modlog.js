@@ -0,0 +1,169 @@
+const Community = require('../models/Community');
+const ModAction = require('../models/ModAction');
+const User = require('../models/User');
+
+// Build the mod log filter from query parameters, across all communities when
+// `community` is null. Resolves to null when the filter cannot match anything
+// (e.g. an unknown moderator).
+const buildFilter = async (community, query) => {
+  const filter = community ? { community: community._id } : {};
+
+  if (query.action) {
+    filter.action = { $in: String(query.action).split(',') };
+  }
+
+  if (query.moderator) {
+    const moderator = await User.findOne({ username: query.moderator }).select('_id');
+
+    if (!moderator) {
+      return null;
+    }
+
+    filter.moderator = moderator._id;
+  }
+
+  return filter;
+};
+
+// Fetch a page of mod log entries and send them
+const sendModLog = async (req, res, filter, redact) => {
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = filter ? await ModAction.countDocuments(filter) : 0;
+
+  const entries = filter
+    ? await ModAction.find(filter)
+      .populate('community', 'name')
+      .populate('moderator', 'username')
+      .populate('targetUser', 'username')
+      .populate('targetPost', 'title')
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit)
+    : [];
+
+  // Pagination result
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination,
+    data: redact ? entries.map(redact) : entries
+  });
+};
+
+// The public view hides who acted, their reasons and any private details
+const redactEntry = entry => ({
+  _id: entry._id,
+  action: entry.action,
+  targetUser: entry.targetUser ? { username: entry.targetUser.username } : undefined,
+  targetPost: entry.targetPost || undefined,
+  targetComment: entry.targetComment || undefined,
+  createdAt: entry.createdAt
+});
+
+// @desc    Get the community's mod log
+// @route   GET /api/communities/:name/modlog
+// @access  Private (moderators)
+exports.getModLog = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.isModerator(req.user.id) && req.user.role !== 'admin') {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to view the mod log of this community'
+      });
+    }
+
+    await sendModLog(req, res, await buildFilter(community, req.query));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the redacted public mod log, if the community publishes it
+// @route   GET /api/communities/:name/modlog/public
+// @access  Public
+exports.getPublicModLog = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    if (!community.publicModLog) {
+      return res.status(403).json({
+        success: false,
+        error: 'This community does not publish its mod log'
+      });
+    }
+
+    // Moderators cannot be filtered on in the public view
+    const filter = await buildFilter(community, { action: req.query.action });
+
+    await sendModLog(req, res, filter, redactEntry);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the mod log of every community, optionally filtered by community
+// @route   GET /api/admin/modlog
+// @access  Private (admins)
+exports.getSiteModLog = async (req, res, next) => {
+  try {
+    let community = null;
+
+    if (req.query.community) {
+      community = await Community.findOne({ name: req.query.community });
+
+      if (!community) {
+        return res.status(404).json({
+          success: false,
+          error: 'Community not found'
+        });
+      }
+    }
+
+    await sendModLog(req, res, await buildFilter(community, req.query));
+  } catch (err) {
+    next(err);
+  }
+};
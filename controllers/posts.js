@@ -1,9 +1,76 @@
 
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Community = require('../models/Community');
 const User = require('../models/User');
+const CommunityBan = require('../models/CommunityBan');
 const { validationResult } = require('express-validator');
+const { getPostSort } = require('../utils/ranking');
+const { castVote, attachUserVotes } = require('../utils/votes');
+const { applyModAction } = require('../utils/moderation');
+const { runAutomod } = require('../utils/automod');
+const { parseListQuery } = require('../utils/listQuery');
+const { parseCursor, paginate } = require('../utils/cursor');
+const {
+  parseTreeOptions,
+  loadPostComments,
+  buildCommentTree
+} = require('../utils/commentTree');
+const { canModerate, redactPost, redactComments } = require('../utils/redact');
+
+// Post fields authors can edit
+const EDITABLE_FIELDS = ['title', 'content', 'url', 'image'];
+
+// Filters, sorts and fields clients can use when listing posts
+const POST_LISTING = {
+  filters: {
+    author: 'objectId',
+    community: 'objectId',
+    title: 'string',
+    flair: 'string',
+    distinguished: 'string',
+    locked: 'boolean',
+    stickied: 'boolean',
+    voteScore: 'number',
+    upvoteCount: 'number',
+    downvoteCount: 'number',
+    commentCount: 'number',
+    createdAt: 'date'
+  },
+  sort: [
+    'createdAt',
+    'voteScore',
+    'upvoteCount',
+    'downvoteCount',
+    'commentCount',
+    'hotScore',
+    'risingScore',
+    'controversyScore',
+    'title'
+  ],
+  select: [
+    'title',
+    'content',
+    'url',
+    'image',
+    'author',
+    'community',
+    'flair',
+    'locked',
+    'stickied',
+    'distinguished',
+    'upvoteCount',
+    'downvoteCount',
+    'voteScore',
+    'commentCount',
+    'createdAt'
+  ],
+  params: ['t'],
+  defaultSort: '-createdAt',
+  defaultLimit: 10,
+  maxLimit: 100
+};
 
 // @desc    Get all posts
 // @route   GET /api/posts
@@ -12,73 +79,77 @@ exports.getPosts = async (req, res, next) => {
   try {
     let query;
 
-    // Copy req.query
-    const reqQuery = { ...req.query };
+    // Ranking modes (hot, new, top, rising, controversial) may add a filter;
+    // any other sort is a list of fields
+    const ranking = getPostSort(req.query.sort, req.query.t);
 
-    // Fields to exclude
-    const removeFields = ['select', 'sort', 'page', 'limit'];
+    if (ranking && ranking.error) {
+      return res.status(400).json({
+        success: false,
+        error: ranking.error
+      });
+    }
 
-    // Loop over removeFields and delete them from reqQuery
-    removeFields.forEach(param => delete reqQuery[param]);
+    const listQuery = parseListQuery(
+      { ...req.query, sort: ranking ? undefined : req.query.sort },
+      POST_LISTING
+    );
 
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery);
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: listQuery.errors
+      });
+    }
 
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+    const cursor = parseCursor(req.query, ranking ? ranking.sort : listQuery.sort);
+
+    if (cursor.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursor.error
+      });
+    }
+
+    const filter = {
+      ...listQuery.filter,
+      // Deleted and removed posts are hidden from listings
+      removed: { $ne: true },
+      deleted: { $ne: true },
+      $and: [
+        // So are posts in communities the user cannot see
+        { community: { $nin: await Community.getHiddenIds(req.user) } },
+        // Ranking time windows narrow the client's filters rather than
+        // replacing them
+        ranking ? ranking.filter : {}
+      ]
+    };
 
     // Finding resource
-    query = Post.find(JSON.parse(queryStr))
+    query = Post.find(filter)
       .populate('author', 'username')
       .populate('community', 'name');
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
+    if (listQuery.select) {
+      query = query.select(listQuery.select);
     }
 
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
-    }
-
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Post.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    // Sort, paginate and execute
+    const { page, limit } = listQuery;
+    const total = await Post.countDocuments(filter);
+    const { items, pagination, cursors } = await paginate(query, cursor, { page, limit, total });
 
-    // Executing query
-    const posts = await query;
-
-    // Pagination result
-    const pagination = {};
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
-    }
-
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
-    }
+    const posts = await attachUserVotes(
+      items.map(post => redactPost(post.toObject())),
+      req.user
+    );
 
     res.status(200).json({
       success: true,
       count: posts.length,
       pagination,
+      cursors,
       data: posts
     });
   } catch (err) {
@@ -102,9 +173,22 @@ exports.getPost = async (req, res, next) => {
       });
     }
 
+    const community = await Community.findById(post.community._id);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    // Moderators can still see removed content
+    const isModerator = await canModerate(community._id, req.user);
+    const [data] = await attachUserVotes([redactPost(post.toObject(), isModerator)], req.user);
+
     res.status(200).json({
       success: true,
-      data: post
+      data
     });
   } catch (err) {
     next(err);
@@ -137,10 +221,42 @@ exports.createPost = async (req, res, next) => {
       });
     }
 
+    if (!community.canSubmit(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.canView(req.user)
+          ? 'Only approved users can post in this community'
+          : community.getViewError()
+      });
+    }
+
+    // Banned and muted users cannot post
+    const restriction = await CommunityBan.findBlocking(community._id, req.user.id, 'post');
+
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        error: restriction.getMessage()
+      });
+    }
+
     // Add community to req.body
     req.body.community = community._id;
 
-    const post = await Post.create(req.body);
+    // Only let authors set the post's own fields
+    const fields = { author: req.body.author, community: req.body.community };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    });
+
+    const post = await Post.create(fields);
+
+    // Moderators are exempt from automod rules
+    if (!community.isModerator(req.user.id)) {
+      await runAutomod(community, post, 'post', req.user);
+    }
 
     // Populate author and community
     await post.populate('author', 'username');
@@ -177,7 +293,21 @@ exports.updatePost = async (req, res, next) => {
       });
     }
 
-    post = await Post.findByIdAndUpdate(req.params.id, req.body, {
+    if (post.deleted) {
+      return res.status(400).json({
+        success: false,
+        error: 'Deleted posts cannot be edited'
+      });
+    }
+
+    const fieldsToUpdate = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fieldsToUpdate[field] = req.body[field];
+      }
+    });
+
+    post = await Post.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
       new: true,
       runValidators: true
     });
@@ -205,21 +335,40 @@ exports.deletePost = async (req, res, next) => {
       });
     }
 
-    // Make sure user is post author or community moderator
+    if (post.deleted) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post has already been deleted'
+      });
+    }
+
+    // Authors delete their own posts. The comment thread is kept and the
+    // post renders as [deleted].
+    if (post.author.toString() === req.user.id) {
+      post.deleted = true;
+      post.deletedAt = Date.now();
+      post.content = undefined;
+      post.url = undefined;
+      post.image = undefined;
+      await post.save();
+
+      return res.status(200).json({
+        success: true,
+        data: {}
+      });
+    }
+
+    // Moderators remove posts instead, which can be reversed
     const community = await Community.findById(post.community);
-    const isModerator = community.moderators.includes(req.user.id);
 
-    if (post.author.toString() !== req.user.id && !isModerator) {
+    if (!community.hasModPermission(req.user.id, 'posts')) {
       return res.status(401).json({
         success: false,
         error: 'Not authorized to delete this post'
       });
     }
 
-    // Delete all comments associated with the post
-    await Comment.deleteMany({ post: req.params.id });
-
-    await post.remove();
+    await applyModAction(post, 'remove', req.user.id, community._id, req.body.reason);
 
     res.status(200).json({
       success: true,
@@ -254,38 +403,35 @@ exports.votePost = async (req, res, next) => {
       });
     }
 
-    // Check if user has already voted on this post
-    const upvoted = post.upvotes.includes(req.user.id);
-    const downvoted = post.downvotes.includes(req.user.id);
+    const community = await Community.findById(post.community);
 
-    // Remove existing vote if any
-    if (upvoted) {
-      post.upvotes = post.upvotes.filter(id => id.toString() !== req.user.id);
-    }
-    if (downvoted) {
-      post.downvotes = post.downvotes.filter(id => id.toString() !== req.user.id);
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
     }
 
-    // Add new vote if it's different from previous or if there was no previous vote
-    if ((value === 1 && !upvoted) || (value === -1 && !downvoted)) {
-      if (value === 1) {
-        post.upvotes.push(req.user.id);
-      } else {
-        post.downvotes.push(req.user.id);
-      }
-    }
+    // Banned users cannot vote
+    const restriction = await CommunityBan.findBlocking(community._id, req.user.id, 'vote');
 
-    // Update vote score
-    post.voteScore = post.upvotes.length - post.downvotes.length;
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        error: restriction.getMessage()
+      });
+    }
 
-    await post.save();
+    const { previous, current } = await castVote(req.user.id, post._id, 'Post', value);
+    const updated = await Post.applyVote(post._id, previous, current);
 
     res.status(200).json({
       success: true,
       data: {
-        voteScore: post.voteScore,
-        upvotes: post.upvotes.length,
-        downvotes: post.downvotes.length
+        voteScore: updated.voteScore,
+        upvotes: updated.upvoteCount,
+        downvotes: updated.downvoteCount,
+        userVote: current
       }
     });
   } catch (err) {
@@ -307,44 +453,82 @@ exports.getPostComments = async (req, res, next) => {
       });
     }
 
-    // Get top-level comments (no parent)
-    const comments = await Comment.find({ 
-      post: req.params.id,
-      parent: null
-    })
-      .populate('author', 'username')
-      .sort('-voteScore');
-
-    // Function to recursively get replies
-    const getCommentWithReplies = async (comment) => {
-      const replies = await Comment.find({ parent: comment._id })
-        .populate('author', 'username')
-        .sort('-voteScore');
-      
-      const repliesWithNestedReplies = [];
-      
-      for (const reply of replies) {
-        const replyWithNestedReplies = reply.toObject();
-        replyWithNestedReplies.replies = await getCommentWithReplies(reply);
-        repliesWithNestedReplies.push(replyWithNestedReplies);
-      }
-      
-      return repliesWithNestedReplies;
-    };
+    const community = await Community.findById(post.community);
 
-    // Get all comments with their nested replies
-    const commentsWithReplies = [];
-    
-    for (const comment of comments) {
-      const commentWithReplies = comment.toObject();
-      commentWithReplies.replies = await getCommentWithReplies(comment);
-      commentsWithReplies.push(commentWithReplies);
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    const { tree, count } = buildCommentTree(await loadPostComments(post._id), {
+      ...parseTreeOptions(req.query, post),
+      opId: post.author
+    });
+
+    const isModerator = await canModerate(post.community, req.user);
+    redactComments(tree, isModerator);
+    await attachUserVotes(tree, req.user);
+
+    res.status(200).json({
+      success: true,
+      count,
+      data: tree
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Expand a "more" stub of a post's comment tree
+// @route   GET /api/posts/:id/comments/more
+// @access  Public
+exports.getMoreComments = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
     }
 
+    const community = await Community.findById(post.community);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    const comments = await loadPostComments(post._id);
+    const parent = req.query.parent || null;
+
+    if (parent && !comments.some(comment => comment._id.toString() === parent)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parent comment not found'
+      });
+    }
+
+    const { tree, count } = buildCommentTree(comments, {
+      ...parseTreeOptions(req.query, post),
+      parent,
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0),
+      opId: post.author
+    });
+
+    const isModerator = await canModerate(post.community, req.user);
+    redactComments(tree, isModerator);
+    await attachUserVotes(tree, req.user);
+
     res.status(200).json({
       success: true,
-      count: commentsWithReplies.length,
-      data: commentsWithReplies
+      count,
+      data: tree
     });
   } catch (err) {
     next(err);
@@ -373,11 +557,58 @@ exports.addComment = async (req, res, next) => {
       });
     }
 
+    const community = await Community.findById(post.community);
+
+    if (!community.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: community.getViewError()
+      });
+    }
+
+    if (post.locked && !community.hasModPermission(req.user.id, 'posts')) {
+      return res.status(403).json({
+        success: false,
+        error: 'This post is locked'
+      });
+    }
+
+    // Banned and muted users cannot comment
+    const restriction = await CommunityBan.findBlocking(post.community, req.user.id, 'comment');
+
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        error: restriction.getMessage()
+      });
+    }
+
+    // Replies must stay in the same post and cannot go under locked comments
+    if (req.body.parent) {
+      const parent = mongoose.isValidObjectId(req.body.parent) &&
+        await Comment.findOne({ _id: req.body.parent, post: post._id });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent comment not found'
+        });
+      }
+
+      if (parent.locked && !community.hasModPermission(req.user.id, 'comments')) {
+        return res.status(403).json({
+          success: false,
+          error: 'This comment is locked'
+        });
+      }
+    }
+
     // Create comment
     const comment = await Comment.create({
       content: req.body.content,
       author: req.user.id,
       post: req.params.id,
+      community: post.community,
       parent: req.body.parent || null
     });
 
@@ -388,6 +619,10 @@ exports.addComment = async (req, res, next) => {
     post.commentCount += 1;
     await post.save();
 
+    if (!community.isModerator(req.user.id)) {
+      await runAutomod(community, comment, 'comment', req.user);
+    }
+
     res.status(201).json({
       success: true,
       data: comment
@@ -396,3 +631,71 @@ exports.addComment = async (req, res, next) => {
     next(err);
   }
 };
+
+// @desc    Remove post as a moderator
+// @route   POST /api/posts/:id/remove
+// @access  Private (moderators with 'posts')
+exports.removePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community.hasModPermission(req.user.id, 'posts')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to remove this post'
+      });
+    }
+
+    await applyModAction(post, 'remove', req.user.id, community._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: post
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve post as a moderator, reversing any removal
+// @route   POST /api/posts/:id/approve
+// @access  Private (moderators with 'posts')
+exports.approvePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community.hasModPermission(req.user.id, 'posts')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to approve this post'
+      });
+    }
+
+    await applyModAction(post, 'approve', req.user.id, community._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: post
+    });
+  } catch (err) {
+    next(err);
+  }
+};
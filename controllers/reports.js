@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const { validationResult } = require('express-validator');
+const { MOD_ACTIONS, applyModAction } = require('../utils/moderation');
+
+// Moderator permission needed to act on each kind of item
+const PERMISSION_FOR = {
+  Post: 'posts',
+  Comment: 'comments'
+};
+
+const MODELS = {
+  Post,
+  Comment
+};
+
+const reportItem = itemModel => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const Model = MODELS[itemModel];
+    const item = await Model.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `${itemModel} not found`
+      });
+    }
+
+    const post = itemModel === 'Post'
+      ? item
+      : await Post.findById(item.post).select('community');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    // Reports either cite one of the community's rules or give a reason
+    let rule;
+
+    if (req.body.rule) {
+      rule = mongoose.isValidObjectId(req.body.rule) && community.rules.id(req.body.rule);
+
+      if (!rule) {
+        return res.status(400).json({
+          success: false,
+          error: 'Rule not found in this community'
+        });
+      }
+    }
+
+    const reason = rule ? rule.title : req.body.reason;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please choose a rule or give a reason'
+      });
+    }
+
+    let report;
+
+    try {
+      report = await Report.create({
+        item: item._id,
+        itemModel,
+        community: community._id,
+        reporter: req.user.id,
+        rule: rule ? rule._id : undefined,
+        reason,
+        // Moderators chose to ignore further reports on this item
+        resolved: item.ignoreReports,
+        resolution: item.ignoreReports ? 'ignored' : undefined
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: `You have already reported this ${itemModel.toLowerCase()}`
+        });
+      }
+      throw err;
+    }
+
+    await Model.updateOne({ _id: item._id }, { $inc: { reportCount: 1 } });
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Report a post
+// @route   POST /api/posts/:id/report
+// @access  Private
+exports.reportPost = reportItem('Post');
+
+// @desc    Report a comment
+// @route   POST /api/comments/:id/report
+// @access  Private
+exports.reportComment = reportItem('Comment');
+
+// @desc    Get reported items awaiting review
+// @route   GET /api/communities/:name/modqueue
+// @access  Private (moderators with 'posts' or 'comments')
+exports.getModQueue = async (req, res, next) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    // Only show the kinds of items the moderator can act on
+    let itemModels = Object.keys(PERMISSION_FOR)
+      .filter(itemModel => community.hasModPermission(req.user.id, PERMISSION_FOR[itemModel]));
+
+    if (req.query.type === 'posts') {
+      itemModels = itemModels.filter(itemModel => itemModel === 'Post');
+    } else if (req.query.type === 'comments') {
+      itemModels = itemModels.filter(itemModel => itemModel === 'Comment');
+    }
+
+    if (!community.isModerator(req.user.id) || itemModels.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to view the modqueue of this community'
+      });
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    // Aggregate open reports per item, with a count per reason
+    const [result] = await Report.aggregate([
+      {
+        $match: {
+          community: community._id,
+          resolved: false,
+          itemModel: { $in: itemModels }
+        }
+      },
+      {
+        $group: {
+          _id: { item: '$item', reason: '$reason' },
+          itemModel: { $first: '$itemModel' },
+          count: { $sum: 1 },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.item',
+          itemModel: { $first: '$itemModel' },
+          reportCount: { $sum: '$count' },
+          reasons: { $push: { reason: '$_id.reason', count: '$count' } },
+          lastReportedAt: { $max: '$lastReportedAt' }
+        }
+      },
+      { $sort: { lastReportedAt: -1, _id: -1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          items: [{ $skip: startIndex }, { $limit: limit }]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+    const ids = itemModel => result.items
+      .filter(entry => entry.itemModel === itemModel)
+      .map(entry => entry._id);
+
+    const [posts, comments] = await Promise.all([
+      Post.find({ _id: { $in: ids('Post') } })
+        .populate('author', 'username'),
+      Comment.find({ _id: { $in: ids('Comment') } })
+        .populate('author', 'username')
+        .populate('post', 'title')
+    ]);
+
+    const items = new Map(
+      [...posts, ...comments].map(item => [item._id.toString(), item])
+    );
+
+    const queue = result.items
+      .filter(entry => items.has(entry._id.toString()))
+      .map(entry => ({
+        itemModel: entry.itemModel,
+        item: items.get(entry._id.toString()),
+        reportCount: entry.reportCount,
+        reasons: entry.reasons.sort((a, b) => b.count - a.count),
+        lastReportedAt: entry.lastReportedAt
+      }));
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: queue.length,
+      pagination,
+      data: queue
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve, remove or ignore a reported item
+// @route   POST /api/communities/:name/modqueue/:id
+// @access  Private (moderators with 'posts' or 'comments')
+exports.moderateQueueItem = async (req, res, next) => {
+  try {
+    const { action } = req.body;
+
+    if (!MOD_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Action must be one of: ${MOD_ACTIONS.join(', ')}`
+      });
+    }
+
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        error: 'Community not found'
+      });
+    }
+
+    const report = mongoose.isValidObjectId(req.params.id) && await Report.findOne({
+      item: req.params.id,
+      community: community._id
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in the modqueue'
+      });
+    }
+
+    if (!community.hasModPermission(req.user.id, PERMISSION_FOR[report.itemModel])) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to moderate this item'
+      });
+    }
+
+    const item = await MODELS[report.itemModel].findById(report.item);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `${report.itemModel} not found`
+      });
+    }
+
+    await applyModAction(item, action, req.user.id, community._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,232 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { TIME_WINDOWS } = require('../utils/ranking');
+const { attachUserVotes } = require('../utils/votes');
+const { getSearchTerms, highlight } = require('../utils/search');
+const { canModerate, redactPost, redactComments } = require('../utils/redact');
+
+// What can be searched: the model, the fields snippets are cut from, what
+// 'top' sorts on, which of the community and author filters apply and, for
+// users, the profile fields shown
+const SEARCH_TYPES = {
+  post: {
+    model: Post,
+    fields: ['title', 'content'],
+    top: '-voteScore',
+    filters: ['community', 'author']
+  },
+  comment: {
+    model: Comment,
+    fields: ['content'],
+    top: '-voteScore',
+    filters: ['community', 'author']
+  },
+  community: {
+    model: Community,
+    fields: ['name', 'description'],
+    top: '-memberCount',
+    filters: []
+  },
+  user: {
+    model: User,
+    fields: ['username', 'bio'],
+    top: '-karma',
+    filters: [],
+    select: {
+      username: 1,
+      avatar: 1,
+      bio: 1,
+      karma: 1,
+      postKarma: 1,
+      commentKarma: 1,
+      createdAt: 1
+    }
+  }
+};
+
+const getSort = (sort, type) => {
+  switch (sort) {
+    case 'new':
+      return '-createdAt';
+    case 'old':
+      return 'createdAt';
+    case 'top':
+      return `${SEARCH_TYPES[type].top} -createdAt`;
+    default:
+      return { score: { $meta: 'textScore' }, createdAt: -1 };
+  }
+};
+
+// @desc    Search posts, comments, communities or users
+// @route   GET /api/search
+// @access  Public
+exports.search = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const type = req.query.type || 'post';
+    const sort = req.query.sort || 'relevance';
+    const { model, fields, filters, select } = SEARCH_TYPES[type];
+
+    const unsupported = ['community', 'author']
+      .find(field => req.query[field] && !filters.includes(field));
+
+    if (unsupported) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot filter ${type} results by ${unsupported}`
+      });
+    }
+
+    const filter = { $text: { $search: req.query.q } };
+    const hiddenIds = await Community.getHiddenIds(req.user);
+
+    // Time range, either a named window or explicit dates
+    const window = TIME_WINDOWS[req.query.t] || null;
+    const createdAt = {};
+
+    if (window) {
+      createdAt.$gte = new Date(Date.now() - window);
+    }
+
+    if (req.query.from) {
+      createdAt.$gte = new Date(Math.max(createdAt.$gte || 0, new Date(req.query.from)));
+    }
+
+    if (req.query.to) {
+      createdAt.$lte = new Date(req.query.to);
+    }
+
+    if (Object.keys(createdAt).length > 0) {
+      filter.createdAt = createdAt;
+    }
+
+    let community;
+
+    if (req.query.community) {
+      community = await Community.findOne({ name: req.query.community });
+
+      if (!community) {
+        return res.status(404).json({
+          success: false,
+          error: 'Community not found'
+        });
+      }
+
+      if (!community.canView(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: community.getViewError()
+        });
+      }
+    }
+
+    if (req.query.author) {
+      const author = await User.findOne({ username: req.query.author });
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      filter.author = author._id;
+    }
+
+    // Leave out removed and deleted content and communities the viewer
+    // cannot see
+    if (type === 'post' || type === 'comment') {
+      filter.removed = { $ne: true };
+      filter.deleted = { $ne: true };
+    }
+
+    if (type === 'post' || type === 'comment') {
+      filter.community = community ? community._id : { $nin: hiddenIds };
+    } else if (type === 'community') {
+      filter._id = { $nin: hiddenIds };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await model.countDocuments(filter);
+
+    let query = model.find(filter)
+      .select({ ...select, score: { $meta: 'textScore' } })
+      .sort(getSort(sort, type))
+      .skip(startIndex)
+      .limit(limit);
+
+    if (type === 'post') {
+      query = query
+        .populate('author', 'username')
+        .populate('community', 'name');
+    } else if (type === 'comment') {
+      query = query
+        .populate('author', 'username')
+        .populate('post', 'title community');
+    }
+
+    // Posts and comments are redacted like in other listings, before
+    // highlighting so snippets never show hidden content. Moderation details
+    // are only shown to moderators of the community searched in.
+    const isModerator = community ? await canModerate(community._id, req.user) : false;
+    const terms = getSearchTerms(req.query.q);
+    let results = (await query).map(item => {
+      let result = item.toJSON();
+
+      if (type === 'post') {
+        result = redactPost(result, isModerator);
+      } else if (type === 'comment') {
+        [result] = redactComments([result], isModerator);
+      }
+
+      result.highlights = highlight(result, fields, terms);
+      return result;
+    });
+
+    if (type === 'post' || type === 'comment') {
+      results = await attachUserVotes(results, req.user);
+    }
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      type,
+      total,
+      count: results.length,
+      pagination,
+      data: results
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,293 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const ModAction = require('../models/ModAction');
+const { COMMENT_SORTS } = require('../utils/ranking');
+
+// Sticky posts a community can have at once
+const MAX_STICKIED = 2;
+
+const MODELS = {
+  Post,
+  Comment
+};
+
+// Moderator permission needed to act on each kind of item
+const PERMISSION_FOR = {
+  Post: 'posts',
+  Comment: 'comments'
+};
+
+// Moderator tools share one handler: load the item and its community, check
+// the moderator permission, let `apply` change the item (it returns an error
+// message when the change is not allowed), then save and log it.
+const threadTool = (itemModel, action, apply) => async (req, res, next) => {
+  try {
+    const item = await MODELS[itemModel].findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `${itemModel} not found`
+      });
+    }
+
+    const post = itemModel === 'Post' ? item : await Post.findById(item.post);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community.hasModPermission(req.user.id, PERMISSION_FOR[itemModel])) {
+      return res.status(401).json({
+        success: false,
+        error: `Not authorized to moderate this ${itemModel.toLowerCase()}`
+      });
+    }
+
+    const error = await apply(item, community, req);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    await item.save();
+
+    await ModAction.log({
+      community: community._id,
+      moderator: req.user.id,
+      action,
+      targetUser: item.author,
+      targetPost: post._id,
+      targetComment: itemModel === 'Comment' ? item._id : undefined,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const setLocked = locked => item => {
+  if (item.locked === locked) {
+    return `Already ${locked ? 'locked' : 'unlocked'}`;
+  }
+
+  item.locked = locked;
+  return null;
+};
+
+const sticky = async (post, community) => {
+  if (post.stickied) {
+    return 'Post is already sticky';
+  }
+
+  if (post.removed || post.deleted) {
+    return 'Removed and deleted posts cannot be made sticky';
+  }
+
+  const stickied = await Post.countDocuments({
+    community: community._id,
+    stickied: true,
+    removed: { $ne: true },
+    deleted: { $ne: true }
+  });
+
+  if (stickied >= MAX_STICKIED) {
+    return `A community can have at most ${MAX_STICKIED} sticky posts`;
+  }
+
+  post.stickied = true;
+  post.stickiedAt = Date.now();
+  return null;
+};
+
+const unsticky = post => {
+  if (!post.stickied) {
+    return 'Post is not sticky';
+  }
+
+  post.stickied = false;
+  post.stickiedAt = undefined;
+  return null;
+};
+
+// An empty sort clears the suggestion
+const suggestSort = (post, community, req) => {
+  const sort = req.body.sort || null;
+
+  if (sort !== null && !COMMENT_SORTS.includes(sort)) {
+    return `Sort must be one of: ${COMMENT_SORTS.join(', ')}`;
+  }
+
+  post.suggestedSort = sort;
+  return null;
+};
+
+// Only one top-level comment per post can be pinned; pinning another one
+// replaces it
+const pin = async comment => {
+  if (comment.parent) {
+    return 'Only top-level comments can be pinned';
+  }
+
+  if (comment.pinned) {
+    return 'Comment is already pinned';
+  }
+
+  if (comment.removed || comment.deleted) {
+    return 'Removed and deleted comments cannot be pinned';
+  }
+
+  await Comment.updateMany(
+    { post: comment.post, pinned: true },
+    { pinned: false }
+  );
+
+  comment.pinned = true;
+  return null;
+};
+
+const unpin = comment => {
+  if (!comment.pinned) {
+    return 'Comment is not pinned';
+  }
+
+  comment.pinned = false;
+  return null;
+};
+
+// @desc    Lock a post so it gets no new comments
+// @route   POST /api/posts/:id/lock
+// @access  Private (moderators with 'posts')
+exports.lockPost = threadTool('Post', 'lock_post', setLocked(true));
+
+// @desc    Unlock a post
+// @route   POST /api/posts/:id/unlock
+// @access  Private (moderators with 'posts')
+exports.unlockPost = threadTool('Post', 'unlock_post', setLocked(false));
+
+// @desc    Sticky a post to the top of its community
+// @route   POST /api/posts/:id/sticky
+// @access  Private (moderators with 'posts')
+exports.stickyPost = threadTool('Post', 'sticky_post', sticky);
+
+// @desc    Unsticky a post
+// @route   POST /api/posts/:id/unsticky
+// @access  Private (moderators with 'posts')
+exports.unstickyPost = threadTool('Post', 'unsticky_post', unsticky);
+
+// @desc    Set or clear the suggested comment sort of a post
+// @route   PUT /api/posts/:id/suggested-sort
+// @access  Private (moderators with 'posts')
+exports.setSuggestedSort = threadTool('Post', 'set_suggested_sort', suggestSort);
+
+// @desc    Lock a comment so it gets no new replies
+// @route   POST /api/comments/:id/lock
+// @access  Private (moderators with 'comments')
+exports.lockComment = threadTool('Comment', 'lock_comment', setLocked(true));
+
+// @desc    Unlock a comment
+// @route   POST /api/comments/:id/unlock
+// @access  Private (moderators with 'comments')
+exports.unlockComment = threadTool('Comment', 'unlock_comment', setLocked(false));
+
+// @desc    Pin a comment to the top of its post
+// @route   POST /api/comments/:id/pin
+// @access  Private (moderators with 'comments')
+exports.pinComment = threadTool('Comment', 'pin_comment', pin);
+
+// @desc    Unpin a comment
+// @route   POST /api/comments/:id/unpin
+// @access  Private (moderators with 'comments')
+exports.unpinComment = threadTool('Comment', 'unpin_comment', unpin);
+
+// Authors who moderate the community can distinguish their own posts and
+// comments; admins can distinguish theirs as admin speech anywhere
+const distinguish = (itemModel, on) => async (req, res, next) => {
+  try {
+    const item = await MODELS[itemModel].findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `${itemModel} not found`
+      });
+    }
+
+    if (item.author.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        error: `Only the author can distinguish this ${itemModel.toLowerCase()}`
+      });
+    }
+
+    let distinguished = null;
+
+    if (on) {
+      const post = itemModel === 'Post' ? item : await Post.findById(item.post);
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found'
+        });
+      }
+
+      const community = await Community.findById(post.community);
+      const asAdmin = req.user.role === 'admin' &&
+        (req.body.as === 'admin' || !community.isModerator(req.user.id));
+
+      if (!asAdmin && !community.isModerator(req.user.id)) {
+        return res.status(401).json({
+          success: false,
+          error: `Not authorized to distinguish this ${itemModel.toLowerCase()}`
+        });
+      }
+
+      distinguished = asAdmin ? 'admin' : 'moderator';
+    }
+
+    item.distinguished = distinguished;
+    await item.save();
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Distinguish a post as moderator (or admin) speech
+// @route   POST /api/posts/:id/distinguish
+// @access  Private (author, moderators or admins)
+exports.distinguishPost = distinguish('Post', true);
+
+// @desc    Remove the distinction from a post
+// @route   POST /api/posts/:id/undistinguish
+// @access  Private (author)
+exports.undistinguishPost = distinguish('Post', false);
+
+// @desc    Distinguish a comment as moderator (or admin) speech
+// @route   POST /api/comments/:id/distinguish
+// @access  Private (author, moderators or admins)
+exports.distinguishComment = distinguish('Comment', true);
+
+// @desc    Remove the distinction from a comment
+// @route   POST /api/comments/:id/undistinguish
+// @access  Private (author)
+exports.undistinguishComment = distinguish('Comment', false);
@@ -2,7 +2,15 @@
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Community = require('../models/Community');
 const { validationResult } = require('express-validator');
+const { attachUserVotes } = require('../utils/votes');
+const { redactPost, redactComments } = require('../utils/redact');
+const { parsePagination } = require('../utils/listQuery');
+const { parseCursor, paginate } = require('../utils/cursor');
+
+// User listings are newest first
+const USER_LISTING_SORT = '-createdAt';
 
 // @desc    Get user profile
 // @route   GET /api/users/:username
@@ -80,39 +88,48 @@ exports.getUserPosts = async (req, res, next) => {
     }
 
     // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Post.countDocuments({ author: user._id });
-
-    const posts = await Post.find({ author: user._id })
-      .populate('community', 'name')
-      .sort('-createdAt')
-      .skip(startIndex)
-      .limit(limit);
-
-    // Pagination result
-    const pagination = {};
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
+    const { errors, page, limit } = parsePagination(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
+    const cursor = parseCursor(req.query, USER_LISTING_SORT);
+
+    if (cursor.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursor.error
+      });
     }
 
+    const filter = {
+      author: user._id,
+      community: { $nin: await Community.getHiddenIds(req.user) },
+      removed: { $ne: true },
+      deleted: { $ne: true }
+    };
+    const total = await Post.countDocuments(filter);
+
+    const { items, pagination, cursors } = await paginate(
+      Post.find(filter).populate('community', 'name'),
+      cursor,
+      { page, limit, total }
+    );
+
+    const posts = await attachUserVotes(
+      items.map(post => redactPost(post.toObject())),
+      req.user
+    );
+
     res.status(200).json({
       success: true,
       count: posts.length,
       pagination,
+      cursors,
       data: posts
     });
   } catch (err) {
@@ -135,39 +152,49 @@ exports.getUserComments = async (req, res, next) => {
     }
 
     // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Comment.countDocuments({ author: user._id });
-
-    const comments = await Comment.find({ author: user._id })
-      .populate('post', 'title')
-      .sort('-createdAt')
-      .skip(startIndex)
-      .limit(limit);
-
-    // Pagination result
-    const pagination = {};
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
+    const { errors, page, limit } = parsePagination(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
+    const cursor = parseCursor(req.query, USER_LISTING_SORT);
+
+    if (cursor.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursor.error
+      });
     }
 
+    const filter = {
+      author: user._id,
+      // Leave out comments in communities the viewer cannot see
+      community: { $nin: await Community.getHiddenIds(req.user) },
+      removed: { $ne: true },
+      deleted: { $ne: true }
+    };
+    const total = await Comment.countDocuments(filter);
+
+    const { items, pagination, cursors } = await paginate(
+      Comment.find(filter).populate('post', 'title'),
+      cursor,
+      { page, limit, total }
+    );
+
+    const comments = await attachUserVotes(
+      redactComments(items.map(comment => comment.toObject())),
+      req.user
+    );
+
     res.status(200).json({
       success: true,
       count: comments.length,
       pagination,
+      cursors,
       data: comments
     });
   } catch (err) {
@@ -1,16 +1,36 @@
-
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Get the bearer token from the Authorization header
+const getToken = req => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+};
+
+// Resolve an access token to its user and session. Throws if the token is
+// invalid or its session has ended; resolves to null if the user is gone.
+const authenticate = async token => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sid && await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  await session.touch();
+
+  return user ? { user, session } : null;
+};
 
 // Middleware to protect routes that require authentication
 exports.protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Get token from Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getToken(req);
 
     // Check if token exists
     if (!token) {
@@ -20,29 +40,90 @@ exports.protect = async (req, res, next) => {
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from database
-      const user = await User.findById(decoded.id).select('-password');
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: 'User not found'
-        });
-      }
+    let auth;
 
-      // Add user to request object
-      req.user = user;
-      next();
+    try {
+      auth = await authenticate(token);
     } catch (err) {
       return res.status(401).json({
         success: false,
         error: 'Not authorized to access this route'
       });
     }
+
+    if (!auth) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Suspended accounts cannot act anywhere on the site
+    if (auth.user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        error: auth.user.suspendedUntil
+          ? `Your account is suspended until ${auth.user.suspendedUntil.toISOString()}`
+          : 'Your account has been suspended'
+      });
+    }
+
+    // Add user and session to request object
+    req.user = auth.user;
+    req.authSession = auth.session;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Grant access to specific roles. Must run after protect.
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: `User role ${req.user.role} is not authorized to access this route`
+    });
+  }
+
+  next();
+};
+
+// Middleware to require a verified email address, when enabled with
+// REQUIRE_EMAIL_VERIFICATION=true. Must run after protect.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  next();
+};
+
+// Middleware to identify the user when a valid token is sent, without
+// requiring one
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+
+    if (!token) {
+      return next();
+    }
+
+    try {
+      const auth = await authenticate(token);
+
+      if (auth) {
+        req.user = auth.user;
+        req.authSession = auth.session;
+      }
+    } catch (err) {
+      // Invalid or expired tokens are treated as anonymous requests
+    }
+
+    next();
   } catch (err) {
     next(err);
   }
@@ -1,5 +1,7 @@
 
 const mongoose = require('mongoose');
+const { voteDelta } = require('../utils/votes');
+const User = require('./User');
 
 const CommentSchema = new mongoose.Schema({
   content: {
@@ -17,22 +19,81 @@ const CommentSchema = new mongoose.Schema({
     ref: 'Post',
     required: true
   },
+  // Community of the post, so listings can leave out hidden communities
+  // without looking up posts. Backfilled by `npm run backfill:comment-communities`.
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
   parent: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
     default: null
   },
-  upvotes: [{
+  // Aggregate vote counts; individual votes live in the Vote collection
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  downvoteCount: {
+    type: Number,
+    default: 0
+  },
+  voteScore: {
+    type: Number,
+    default: 0
+  },
+  // No new replies while locked
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Shown above the other top-level comments of the post
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  // Marks the author speaking as a moderator or admin
+  distinguished: {
+    type: String,
+    enum: ['moderator', 'admin', null],
+    default: null
+  },
+  // Deleted by the author
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Moderation state
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // New reports skip the modqueue once a moderator ignores them
+  ignoreReports: {
+    type: Boolean,
+    default: false
+  },
+  approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }],
-  downvotes: [{
+  },
+  approvedAt: {
+    type: Date
+  },
+  removed: {
+    type: Boolean,
+    default: false
+  },
+  removedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }],
-  voteScore: {
-    type: Number,
-    default: 0
+  },
+  removedAt: {
+    type: Date
   },
   createdAt: {
     type: Date,
@@ -51,10 +112,28 @@ CommentSchema.virtual('replies', {
   justOne: false
 });
 
-// Calculate vote score when saving
-CommentSchema.pre('save', function(next) {
-  this.voteScore = this.upvotes.length - this.downvotes.length;
-  next();
-});
+// A post's comment tree is loaded in one query
+CommentSchema.index({ post: 1 });
+
+// A user's comments, newest first
+CommentSchema.index({ author: 1, createdAt: -1 });
+
+// Full-text search
+CommentSchema.index({ content: 'text' }, { name: 'comment_text' });
+
+// Apply a change in one user's vote to the counters and the author's karma
+CommentSchema.statics.applyVote = async function(id, previous, current) {
+  const delta = voteDelta(previous, current);
+  const comment = await this.findByIdAndUpdate(id, { $inc: delta }, { new: true });
+
+  if (comment) {
+    await User.updateOne(
+      { _id: comment.author },
+      { $inc: { commentKarma: delta.voteScore, karma: delta.voteScore } }
+    );
+  }
+
+  return comment;
+};
 
 module.exports = mongoose.model('Comment', CommentSchema);
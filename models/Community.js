@@ -2,6 +2,129 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 
+// Moderator permissions. 'all' grants every permission, including managing
+// other moderators.
+const MOD_PERMISSIONS = ['all', 'posts', 'comments', 'config', 'users', 'flair'];
+
+const permissionsField = {
+  type: [{
+    type: String,
+    enum: MOD_PERMISSIONS
+  }],
+  default: ['all']
+};
+
+// Moderators are kept in order of seniority, most senior first
+const ModeratorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permissions: permissionsField,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const MODERATOR_FIELDS = [
+  'automodRules',
+  'approvedSubmitters',
+  'joinRequests',
+  'moderatorInvites'
+];
+
+// Public communities are open to everyone. Restricted ones can be viewed by
+// anyone but only approved users can post. Private ones can only be viewed by
+// approved users.
+const COMMUNITY_TYPES = ['public', 'restricted', 'private'];
+
+// Automoderator rules. A rule matches a submission when every condition it
+// sets matches, and then all of its actions are applied.
+const AUTOMOD_TARGETS = ['post', 'comment', 'any'];
+const POST_TYPES = ['text', 'link', 'image'];
+
+const AutomodRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  target: {
+    type: String,
+    enum: AUTOMOD_TARGETS,
+    default: 'any'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    // Case-insensitive regular expressions
+    title: String,
+    content: String,
+    // Link domains, subdomains included
+    domains: [String],
+    postTypes: [{
+      type: String,
+      enum: POST_TYPES
+    }],
+    // Author account age in days
+    accountAgeBelow: Number,
+    karmaBelow: Number
+  },
+  actions: {
+    remove: Boolean,
+    modqueue: Boolean,
+    flair: {
+      type: String,
+      maxlength: [64, 'Flair cannot be more than 64 characters']
+    },
+    lock: Boolean,
+    reply: {
+      type: String,
+      maxlength: [10000, 'Reply cannot be more than 10000 characters']
+    }
+  }
+});
+
+// A user's request to join a restricted or private community
+const JoinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ModeratorInviteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permissions: permissionsField,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const CommunitySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -18,23 +141,33 @@ const CommunitySchema = new mongoose.Schema({
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
   slug: String,
+  type: {
+    type: String,
+    enum: COMMUNITY_TYPES,
+    default: 'public'
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  moderators: [{
+  moderators: [ModeratorSchema],
+  moderatorInvites: [ModeratorInviteSchema],
+  members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  members: [{
+  // Users who can post in restricted communities and view private ones
+  approvedSubmitters: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  joinRequests: [JoinRequestSchema],
   memberCount: {
     type: Number,
     default: 0
   },
+  automodRules: [AutomodRuleSchema],
   rules: [{
     title: {
       type: String,
@@ -44,15 +177,48 @@ const CommunitySchema = new mongoose.Schema({
       type: String
     }
   }],
+  // Banned by a site admin
+  banned: {
+    type: Boolean,
+    default: false
+  },
+  bannedReason: {
+    type: String,
+    default: ''
+  },
+  bannedAt: {
+    type: Date
+  },
+  // Let anyone read a redacted version of the mod log
+  publicModLog: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, {
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Moderator-only settings are served by their own endpoints
+    transform: (doc, ret) => {
+      MODERATOR_FIELDS.forEach(field => delete ret[field]);
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+// Look up the communities a user has joined
+CommunitySchema.index({ members: 1 });
+
+// Full-text search, with name matches counting more than description matches
+CommunitySchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 3, description: 1 }, name: 'community_text' }
+);
+
 // Create slug from name
 CommunitySchema.pre('save', function(next) {
   this.slug = slugify(this.name, { lower: true });
@@ -65,6 +231,103 @@ CommunitySchema.pre('save', function(next) {
   next();
 });
 
+// Position of a user in the moderator list (0 is most senior), or -1
+CommunitySchema.methods.moderatorRank = function(userId) {
+  return this.moderators.findIndex(mod => mod.user.toString() === userId.toString());
+};
+
+CommunitySchema.methods.getModerator = function(userId) {
+  return this.moderators[this.moderatorRank(userId)];
+};
+
+CommunitySchema.methods.isModerator = function(userId) {
+  return this.moderatorRank(userId) !== -1;
+};
+
+// Check if a user moderates the community with the given permission
+CommunitySchema.methods.hasModPermission = function(userId, permission) {
+  const mod = this.getModerator(userId);
+
+  return Boolean(mod) && (
+    mod.permissions.includes('all') || mod.permissions.includes(permission)
+  );
+};
+
+// Moderators with full permissions can manage those who joined after them
+CommunitySchema.methods.canManageModerator = function(actorId, targetId) {
+  const actorRank = this.moderatorRank(actorId);
+  const targetRank = this.moderatorRank(targetId);
+
+  return actorRank !== -1 &&
+    targetRank !== -1 &&
+    actorRank < targetRank &&
+    this.hasModPermission(actorId, 'all');
+};
+
+CommunitySchema.methods.isApproved = function(userId) {
+  return this.approvedSubmitters.some(id => id.toString() === userId.toString());
+};
+
+// Check if a user (or an anonymous visitor) can see the community
+CommunitySchema.methods.canView = function(user) {
+  if (user && user.role === 'admin') {
+    return true;
+  }
+
+  if (this.banned) {
+    return false;
+  }
+
+  return this.type !== 'private' ||
+    Boolean(user && (this.isModerator(user._id) || this.isApproved(user._id)));
+};
+
+// Check if a user can create posts in the community
+CommunitySchema.methods.canSubmit = function(user) {
+  if (!this.canView(user)) {
+    return false;
+  }
+
+  return this.type === 'public' ||
+    this.isModerator(user._id) ||
+    this.isApproved(user._id);
+};
+
+// Error message for users who cannot see the community
+CommunitySchema.methods.getViewError = function() {
+  if (this.banned) {
+    return this.bannedReason
+      ? `This community has been banned. Reason: ${this.bannedReason}`
+      : 'This community has been banned';
+  }
+
+  return 'This community is private';
+};
+
+// Ids of communities whose posts must be left out of site-wide listings for
+// a user (or an anonymous visitor): banned ones and private ones they are not
+// approved in
+CommunitySchema.statics.getHiddenIds = function(user) {
+  const hidden = [{ banned: true }];
+
+  if (!user) {
+    hidden.push({ type: 'private' });
+  } else if (user.role !== 'admin') {
+    hidden.push({
+      type: 'private',
+      approvedSubmitters: { $ne: user._id },
+      'moderators.user': { $ne: user._id }
+    });
+  }
+
+  return this.find({ $or: hidden }).distinct('_id');
+};
+
+CommunitySchema.statics.MOD_PERMISSIONS = MOD_PERMISSIONS;
+CommunitySchema.statics.COMMUNITY_TYPES = COMMUNITY_TYPES;
+CommunitySchema.statics.AUTOMOD_TARGETS = AUTOMOD_TARGETS;
+CommunitySchema.statics.POST_TYPES = POST_TYPES;
+
 // Virtual for community's posts
 CommunitySchema.virtual('posts', {
   ref: 'Post',
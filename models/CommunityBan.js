@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// What each restriction type stops a user from doing in a community
+const BLOCKED_ACTIONS = {
+  ban: ['post', 'comment', 'vote', 'join'],
+  mute: ['post', 'comment']
+};
+
+// A user banned or muted from a community, either permanently or until
+// `expiresAt`
+const CommunityBanSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(BLOCKED_ACTIONS)
+  },
+  // Shown to the restricted user
+  reason: {
+    type: String,
+    default: '',
+    maxlength: [300, 'Reason cannot be more than 300 characters']
+  },
+  // Only visible to moderators
+  modNote: {
+    type: String,
+    default: '',
+    maxlength: [300, 'Mod note cannot be more than 300 characters']
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // null for permanent restrictions
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CommunityBanSchema.index({ community: 1, user: 1, type: 1 }, { unique: true });
+
+// Remove temporary restrictions once they end
+CommunityBanSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Only active restrictions, since the TTL cleanup is not immediate
+const activeFilter = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+CommunityBanSchema.statics.activeFilter = activeFilter;
+
+// Find an active restriction that stops a user from taking an action
+// ('post', 'comment', 'vote' or 'join') in a community
+CommunityBanSchema.statics.findBlocking = function(communityId, userId, action) {
+  const types = Object.keys(BLOCKED_ACTIONS)
+    .filter(type => BLOCKED_ACTIONS[type].includes(action));
+
+  return this.findOne({
+    community: communityId,
+    user: userId,
+    type: { $in: types },
+    ...activeFilter()
+  }).sort('type');
+};
+
+// Error message for the restricted user
+CommunityBanSchema.methods.getMessage = function() {
+  let message = this.type === 'ban'
+    ? 'You are banned from this community'
+    : 'You are muted in this community';
+
+  if (this.expiresAt) {
+    message += ` until ${this.expiresAt.toISOString()}`;
+  }
+
+  if (this.reason) {
+    message += `. Reason: ${this.reason}`;
+  }
+
+  return message;
+};
+
+module.exports = mongoose.model('CommunityBan', CommunityBanSchema);
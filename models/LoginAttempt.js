@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Audit record of a failed login attempt
+const LoginAttemptSchema = new mongoose.Schema({
+  // Username as entered, which may not belong to any account
+  username: {
+    type: String,
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['invalid_credentials', 'invalid_2fa_code', 'locked']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Keep audit records for 90 days
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+  'remove_post',
+  'approve_post',
+  'ignore_post_reports',
+  'remove_comment',
+  'approve_comment',
+  'ignore_comment_reports',
+  'ban_user',
+  'approve_submitter',
+  'remove_submitter',
+  'accept_join_request',
+  'decline_join_request',
+  'unban_user',
+  'mute_user',
+  'unmute_user',
+  'edit_rules',
+  'edit_settings',
+  'edit_automod',
+  'lock_post',
+  'unlock_post',
+  'sticky_post',
+  'unsticky_post',
+  'set_suggested_sort',
+  'lock_comment',
+  'unlock_comment',
+  'pin_comment',
+  'unpin_comment',
+  'edit_flair',
+  'invite_moderator',
+  'cancel_moderator_invite',
+  'accept_moderator_invite',
+  'remove_moderator',
+  'update_moderator_permissions',
+  'transfer_community',
+  'admin_takeover',
+  'ban_community',
+  'unban_community'
+];
+
+// An entry in a community's moderation log
+const ModActionSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ACTIONS
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  targetComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Action specific details, e.g. ban duration or changed settings
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModActionSchema.index({ community: 1, createdAt: -1 });
+ModActionSchema.index({ community: 1, action: 1, createdAt: -1 });
+ModActionSchema.index({ community: 1, moderator: 1, createdAt: -1 });
+
+ModActionSchema.statics.ACTIONS = ACTIONS;
+
+// Record a moderation action
+ModActionSchema.statics.log = function(entry) {
+  return this.create(entry);
+};
+
+module.exports = mongoose.model('ModAction', ModActionSchema);
@@ -1,5 +1,14 @@
 
 const mongoose = require('mongoose');
+const {
+  hotScore,
+  controversyScore,
+  initialRisingScore,
+  scoreExpressions,
+  COMMENT_SORTS
+} = require('../utils/ranking');
+const { voteDelta } = require('../utils/votes');
+const User = require('./User');
 
 const PostSchema = new mongoose.Schema({
   title: {
@@ -28,14 +37,15 @@ const PostSchema = new mongoose.Schema({
     ref: 'Community',
     required: true
   },
-  upvotes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  downvotes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Aggregate vote counts; individual votes live in the Vote collection
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  downvoteCount: {
+    type: Number,
+    default: 0
+  },
   voteScore: {
     type: Number,
     default: 0
@@ -44,6 +54,85 @@ const PostSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Stored ranking scores, refreshed whenever votes change
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  risingScore: {
+    type: Number,
+    default: 0
+  },
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
+  flair: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Flair cannot be more than 64 characters']
+  },
+  // No new comments while locked
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Shown at the top of the community
+  stickied: {
+    type: Boolean,
+    default: false
+  },
+  stickiedAt: {
+    type: Date
+  },
+  // Comment sort moderators suggest for this post
+  suggestedSort: {
+    type: String,
+    enum: [...COMMENT_SORTS, null],
+    default: null
+  },
+  // Marks the author speaking as a moderator or admin
+  distinguished: {
+    type: String,
+    enum: ['moderator', 'admin', null],
+    default: null
+  },
+  // Deleted by the author
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Moderation state
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // New reports skip the modqueue once a moderator ignores them
+  ignoreReports: {
+    type: Boolean,
+    default: false
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  removed: {
+    type: Boolean,
+    default: false
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -61,10 +150,75 @@ PostSchema.virtual('comments', {
   justOne: false
 });
 
-// Calculate vote score when saving
+// Indexes backing the listing sort modes
+PostSchema.index({ community: 1, stickied: 1 });
+PostSchema.index({ community: 1, hotScore: -1 });
+PostSchema.index({ community: 1, createdAt: -1 });
+PostSchema.index({ community: 1, voteScore: -1 });
+PostSchema.index({ community: 1, risingScore: -1 });
+PostSchema.index({ community: 1, controversyScore: -1 });
+PostSchema.index({ hotScore: -1 });
+PostSchema.index({ createdAt: -1 });
+PostSchema.index({ voteScore: -1 });
+PostSchema.index({ risingScore: -1 });
+PostSchema.index({ controversyScore: -1 });
+
+// A user's posts, newest first
+PostSchema.index({ author: 1, createdAt: -1 });
+
+// Full-text search, with title matches counting more than body matches
+PostSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 3, content: 1 }, name: 'post_text' }
+);
+
+// Initialise rankings for new posts
 PostSchema.pre('save', function(next) {
-  this.voteScore = this.upvotes.length - this.downvotes.length;
+  if (this.isNew) {
+    this.hotScore = hotScore(this.upvoteCount, this.downvoteCount, this.createdAt);
+    this.controversyScore = controversyScore(this.upvoteCount, this.downvoteCount);
+    this.risingScore = initialRisingScore(this.createdAt);
+  }
+
   next();
 });
 
+// Apply a change in one user's vote to the counters, the author's karma and
+// the rankings. The rankings are computed from the updated counters inside
+// the same update, so concurrent votes cannot overwrite each other's scores.
+PostSchema.statics.applyVote = async function(id, previous, current) {
+  const delta = voteDelta(previous, current);
+  const counters = {};
+  const rankings = {
+    hotScore: scoreExpressions.hotScore(),
+    controversyScore: scoreExpressions.controversyScore()
+  };
+
+  Object.keys(delta).forEach(field => {
+    counters[field] = { $add: [`$${field}`, delta[field]] };
+  });
+
+  // Only new upvotes count towards rising
+  if (current === 1 && previous !== 1) {
+    rankings.risingScore = scoreExpressions.addRisingVote();
+  }
+
+  const post = await this.findOneAndUpdate(
+    { _id: id },
+    [{ $set: counters }, { $set: rankings }],
+    { new: true }
+  );
+
+  if (!post) {
+    return null;
+  }
+
+  await User.updateOne(
+    { _id: post.author },
+    { $inc: { postKarma: delta.voteScore, karma: delta.voteScore } }
+  );
+
+  return post;
+};
+
 module.exports = mongoose.model('Post', PostSchema);
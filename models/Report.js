@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A user's report of a post or comment. Reports stay in the community's
+// modqueue until a moderator resolves them.
+const ReportSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemModel'
+  },
+  itemModel: {
+    type: String,
+    required: true,
+    enum: ['Post', 'Comment']
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  // null when automod held the item for review but could not act as the
+  // automoderator account
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The community rule broken, if one was chosen
+  rule: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // The rule title or the reporter's own reason
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason'],
+    trim: true,
+    maxlength: [300, 'Reason cannot be more than 300 characters']
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolution: {
+    type: String,
+    enum: ['approved', 'removed', 'ignored']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One report per user per item
+ReportSchema.index({ item: 1, reporter: 1 }, { unique: true });
+ReportSchema.index({ community: 1, resolved: 1, createdAt: -1 });
+
+// Resolve all open reports on an item
+ReportSchema.statics.resolveFor = function(itemId, resolution, moderatorId) {
+  return this.updateMany(
+    { item: itemId, resolved: false },
+    {
+      resolved: true,
+      resolution,
+      resolvedBy: moderatorId,
+      resolvedAt: Date.now()
+    }
+  );
+};
+
+module.exports = mongoose.model('Report', ReportSchema);
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A login session. Access tokens carry the session id and are only accepted
+// while the session is active; the session's refresh token is rotated on
+// every use.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the current refresh token secret
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token secret it replaced, to detect reuse
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, reuse, ...
+  revokedReason: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Device details recorded at login
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ user: 1 });
+
+// Remove sessions once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashSecret = secret =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(40).toString('hex');
+
+// Refresh tokens are `<session id>.<secret>`
+const formatRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = token => {
+  const [sessionId, secret] = typeof token === 'string' ? token.split('.') : [];
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Start a new session for a user from a device. Resolves to the session and
+// its first refresh token.
+SessionSchema.statics.start = async function(user, { userAgent = '', ip = '' } = {}) {
+  const secret = generateSecret();
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    userAgent: userAgent.slice(0, 512),
+    ip
+  });
+
+  return { session, refreshToken: formatRefreshToken(session, secret) };
+};
+
+// Exchange a refresh token for a new one. Resolves to the session and the new
+// refresh token, or null if the token is not current. Presenting the token
+// that was just rotated out revokes the whole session, since it means the
+// token has been copied; any other wrong secret is only rejected, so knowing
+// a session id is not enough to end someone's session.
+SessionSchema.statics.rotate = async function(token) {
+  const parsed = parseRefreshToken(token);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const secret = generateSecret();
+  const presentedHash = hashSecret(parsed.secret);
+  const now = new Date();
+
+  const session = await this.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      refreshTokenHash: hashSecret(secret),
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: now
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await this.updateOne(
+      { _id: parsed.sessionId, previousRefreshTokenHash: presentedHash, revokedAt: null },
+      { revokedAt: now, revokedReason: 'reuse' }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: formatRefreshToken(session, secret) };
+};
+
+// Revoke every active session of a user, optionally keeping one
+SessionSchema.statics.revokeAll = async function(userId, reason, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await this.updateMany(filter, {
+    revokedAt: Date.now(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+// Check if the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Record that the session was used, at most once a minute
+SessionSchema.methods.touch = async function() {
+  if (Date.now() - this.lastUsedAt < 60 * 1000) {
+    return;
+  }
+
+  this.lastUsedAt = Date.now();
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt });
+};
+
+SessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
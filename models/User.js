@@ -1,7 +1,35 @@
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+
+const PRIVATE_FIELDS = [
+  'password',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep'
+];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Accounts the site itself acts as, with the username and email each one
+// takes. Nobody can register these usernames or emails.
+const SYSTEM_ACCOUNTS = {
+  automoderator: {
+    username: () => process.env.AUTOMOD_USERNAME || 'AutoModerator',
+    email: () => process.env.AUTOMOD_EMAIL || 'automoderator@example.com'
+  }
+};
+
+// Recovery codes are compared case-insensitively and without separators
+const normalizeRecoveryCode = code =>
+  String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -31,40 +59,220 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Total karma, always postKarma + commentKarma
   karma: {
     type: Number,
     default: 0
   },
+  postKarma: {
+    type: Number,
+    default: 0
+  },
+  commentKarma: {
+    type: Number,
+    default: 0
+  },
   bio: {
     type: String,
     default: ''
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Set on the accounts in SYSTEM_ACCOUNTS, which are looked up by it
+  system: {
+    type: String,
+    enum: [...Object.keys(SYSTEM_ACCOUNTS), null],
+    default: null
+  },
+  // Site-wide suspension by an admin
+  suspended: {
+    type: Boolean,
+    default: false
+  },
+  // null while suspended means indefinitely
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication. The secret is stored on enrolment and
+  // only used for logins once the user confirms it with a first code.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, {
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Never send credentials or token hashes to clients
+    transform: (doc, ret) => {
+      PRIVATE_FIELDS.forEach(field => delete ret[field]);
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+// One account per system role
+UserSchema.index(
+  { system: 1 },
+  { unique: true, partialFilterExpression: { system: { $type: 'string' } } }
+);
+
+// Full-text search on usernames and bios, usernames counting more
+UserSchema.index(
+  { username: 'text', bio: 'text' },
+  { weights: { username: 3, bio: 1 }, name: 'user_text' }
+);
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for a session and return it
+UserSchema.methods.getSignedJwtToken = function(session) {
+  return jwt.sign(
+    { id: this._id, username: this.username, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+  );
+};
+
+// Sign a short-lived token identifying a user who passed the password step
+// of a two-factor login
+UserSchema.methods.getTwoFactorChallengeToken = function() {
   return jwt.sign(
-    { id: this._id, username: this.username },
+    { id: this._id, purpose: '2fa' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+// Verify a two-factor challenge token and return the user id it was issued for
+UserSchema.statics.verifyTwoFactorChallengeToken = function(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Start two-factor enrolment with a new secret
+UserSchema.methods.generateTwoFactorSecret = function() {
+  this.twoFactorSecret = totp.generateSecret();
+  this.twoFactorLastStep = undefined;
+
+  return {
+    secret: this.twoFactorSecret,
+    otpauthUrl: totp.keyUri(
+      this.twoFactorSecret,
+      this.username,
+      process.env.TWO_FACTOR_ISSUER || 'Reddit Clone'
+    )
+  };
+};
+
+// Replace the recovery codes and return the new plain text codes
+UserSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code =>
+    this.constructor.hashToken(normalizeRecoveryCode(code))
   );
+
+  return codes;
+};
+
+// Check an authenticator code, or a recovery code which is then used up.
+// Requires the two-factor fields to be selected; the caller saves the user.
+UserSchema.methods.verifyTwoFactorCode = function(code, { allowRecoveryCode = true } = {}) {
+  if (!this.twoFactorSecret || !code) {
+    return false;
+  }
+
+  const step = totp.verify(this.twoFactorSecret, String(code).replace(/\s/g, ''));
+
+  if (step !== null) {
+    if (this.twoFactorLastStep != null && step <= this.twoFactorLastStep) {
+      return false;
+    }
+
+    this.twoFactorLastStep = step;
+    return true;
+  }
+
+  if (!allowRecoveryCode) {
+    return false;
+  }
+
+  const hash = this.constructor.hashToken(normalizeRecoveryCode(code));
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Check if the account is currently suspended
+UserSchema.methods.isSuspended = function() {
+  return this.suspended && (!this.suspendedUntil || this.suspendedUntil > Date.now());
 };
 
 // Match user entered password to hashed password in database
@@ -72,6 +280,107 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Username a system account is created with
+UserSchema.statics.getSystemUsername = function(account) {
+  return SYSTEM_ACCOUNTS[account].username();
+};
+
+// Email a system account is created with
+UserSchema.statics.getSystemEmail = function(account) {
+  return SYSTEM_ACCOUNTS[account].email();
+};
+
+// Check if a username belongs to a system account, ignoring case
+UserSchema.statics.isReservedUsername = function(username) {
+  const name = String(username).toLowerCase();
+
+  return Object.keys(SYSTEM_ACCOUNTS)
+    .some(account => this.getSystemUsername(account).toLowerCase() === name);
+};
+
+// Check if an email belongs to a system account, ignoring case
+UserSchema.statics.isReservedEmail = function(email) {
+  const address = String(email).toLowerCase();
+
+  return Object.keys(SYSTEM_ACCOUNTS)
+    .some(account => this.getSystemEmail(account).toLowerCase() === address);
+};
+
+// Find a system account by its system flag, never by username, creating it
+// if it does not exist yet
+UserSchema.statics.getSystemAccount = async function(account) {
+  const user = await this.findOne({ system: account });
+
+  if (user) {
+    return user;
+  }
+
+  const username = this.getSystemUsername(account);
+  const email = this.getSystemEmail(account);
+
+  try {
+    return await this.create({
+      username,
+      email,
+      // Nobody can sign in as a system account
+      password: crypto.randomBytes(32).toString('hex'),
+      emailVerified: true,
+      system: account
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+
+    // Created concurrently by another request
+    const created = await this.findOne({ system: account });
+
+    if (!created) {
+      throw new Error(
+        `Cannot create the ${account} account: username ${username} or email ${email} ` +
+        'is taken by another user'
+      );
+    }
+
+    return created;
+  }
+};
+
+// Create any missing system accounts, run at startup so they exist before
+// anything needs them
+UserSchema.statics.ensureSystemAccounts = function() {
+  return Promise.all(Object.keys(SYSTEM_ACCOUNTS).map(account => this.getSystemAccount(account)));
+};
+
+// Hash an emailed token for storage and lookup
+UserSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a single-use password reset token and store its hash
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+
+  const minutes = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES, 10) || 30;
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate an email verification token and store its hash
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+  this.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
 // Virtual for user's posts
 UserSchema.virtual('posts', {
   ref: 'Post',
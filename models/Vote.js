@@ -34,4 +34,7 @@ const VoteSchema = new mongoose.Schema({
 // Compound index to ensure a user can only vote once per item
 VoteSchema.index({ user: 1, item: 1 }, { unique: true });
 
+// Look up all votes on an item
+VoteSchema.index({ item: 1 });
+
 module.exports = mongoose.model('Vote', VoteSchema);
@@ -0,0 +1,43 @@
+const express = require('express');
+const { check } = require('express-validator');
+const {
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  removePost,
+  approvePost,
+  removeComment,
+  approveComment,
+  takeoverCommunity,
+  banCommunity,
+  unbanCommunity
+} = require('../controllers/admin');
+const { getSiteModLog } = require('../controllers/modlog');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every admin route requires a signed-in admin
+router.use(protect, authorize('admin'));
+
+router.post('/users/:username/suspend', [
+  check('duration', 'Duration must be a number of days between 1 and 3650').optional({ values: 'falsy' }).isInt({ min: 1, max: 3650 }),
+  check('reason', 'Reason cannot be more than 300 characters').optional().isLength({ max: 300 })
+], suspendUser);
+router.post('/users/:username/unsuspend', unsuspendUser);
+router.put('/users/:username/role', [
+  check('role', 'Role must be user or admin').isIn(['user', 'admin'])
+], updateUserRole);
+
+router.post('/posts/:id/remove', removePost);
+router.post('/posts/:id/approve', approvePost);
+router.post('/comments/:id/remove', removeComment);
+router.post('/comments/:id/approve', approveComment);
+
+router.post('/communities/:name/takeover', takeoverCommunity);
+router.post('/communities/:name/ban', banCommunity);
+router.post('/communities/:name/unban', unbanCommunity);
+
+router.get('/modlog', getSiteModLog);
+
+module.exports = router;
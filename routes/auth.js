@@ -1,7 +1,25 @@
 
 const express = require('express');
 const { check } = require('express-validator');
-const { register, login, getMe, logout } = require('../controllers/auth');
+const {
+  register,
+  login,
+  refresh,
+  getMe,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  updatePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor
+} = require('../controllers/auth');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -18,7 +36,51 @@ router.post('/login', [
   check('password', 'Password is required').exists()
 ], login);
 
+router.post('/2fa/verify', [
+  check('challengeToken', 'Challenge token is required').not().isEmpty(),
+  check('code', 'Code is required').not().isEmpty()
+], verifyTwoFactorLogin);
+
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+], refresh);
+
 router.get('/me', protect, getMe);
+router.post('/logout', protect, logout);
 router.get('/logout', protect, logout);
 
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeOtherSessions);
+
+router.delete('/sessions/:id', protect, revokeSession);
+
+router.put('/password', [
+  protect,
+  check('currentPassword', 'Current password is required').not().isEmpty(),
+  check('newPassword', 'Password must be at least 6 characters').isLength({ min: 6 })
+], updatePassword);
+
+router.post('/forgot-password', [
+  check('email', 'Please include a valid email').isEmail()
+], forgotPassword);
+
+router.put('/reset-password/:resettoken', [
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], resetPassword);
+
+router.put('/verify-email/:verifytoken', verifyEmail);
+
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', [
+  protect,
+  check('code', 'Code is required').not().isEmpty()
+], confirmTwoFactor);
+router.post('/2fa/disable', [
+  protect,
+  check('password', 'Password is required').not().isEmpty(),
+  check('code', 'Code is required').not().isEmpty()
+], disableTwoFactor);
+router.post('/resend-verification', protect, resendVerification);
+
 module.exports = router;
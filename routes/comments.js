@@ -6,14 +6,26 @@ const {
   updateComment, 
   deleteComment, 
   voteComment,
-  getCommentReplies
+  getCommentReplies,
+  getCommentPermalink,
+  removeComment,
+  approveComment
 } = require('../controllers/comments');
-const { protect } = require('../middleware/auth');
+const {
+  lockComment,
+  unlockComment,
+  pinComment,
+  unpinComment,
+  distinguishComment,
+  undistinguishComment
+} = require('../controllers/threads');
+const { reportComment } = require('../controllers/reports');
+const { protect, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.route('/:id')
-  .get(getComment)
+  .get(optionalAuth, getComment)
   .put([
     protect,
     check('content', 'Content is required').not().isEmpty()
@@ -24,6 +36,23 @@ router.route('/:id/vote')
   .post(protect, voteComment);
 
 router.route('/:id/replies')
-  .get(getCommentReplies);
+  .get(optionalAuth, getCommentReplies);
+
+router.route('/:id/permalink')
+  .get(optionalAuth, getCommentPermalink);
+
+router.post('/:id/remove', protect, removeComment);
+router.post('/:id/approve', protect, approveComment);
+router.post('/:id/lock', protect, lockComment);
+router.post('/:id/unlock', protect, unlockComment);
+router.post('/:id/pin', protect, pinComment);
+router.post('/:id/unpin', protect, unpinComment);
+router.post('/:id/distinguish', protect, distinguishComment);
+router.post('/:id/undistinguish', protect, undistinguishComment);
+
+router.post('/:id/report', [
+  protect,
+  check('reason', 'Reason cannot be more than 300 characters').optional().isLength({ max: 300 })
+], reportComment);
 
 module.exports = router;
@@ -11,28 +11,130 @@ const {
   leaveCommunity,
   getCommunityPosts
 } = require('../controllers/communities');
-const { protect } = require('../middleware/auth');
+const {
+  getModerators,
+  getModeratorInvites,
+  inviteModerator,
+  cancelModeratorInvite,
+  acceptModeratorInvite,
+  declineModeratorInvite,
+  updateModeratorPermissions,
+  removeModerator,
+  transferCommunity
+} = require('../controllers/moderators');
+const {
+  getBans,
+  banUser,
+  unbanUser,
+  getMutes,
+  muteUser,
+  unmuteUser
+} = require('../controllers/bans');
+const { getModQueue, moderateQueueItem } = require('../controllers/reports');
+const { getModLog, getPublicModLog } = require('../controllers/modlog');
+const {
+  getApprovedSubmitters,
+  addApprovedSubmitter,
+  removeApprovedSubmitter,
+  requestToJoin,
+  getJoinRequests,
+  acceptJoinRequest,
+  declineJoinRequest
+} = require('../controllers/membership');
+const {
+  getAutomodRules,
+  updateAutomodRules,
+  testAutomodRules
+} = require('../controllers/automod');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+
+// Validation shared by bans and mutes
+const restrictionChecks = [
+  check('username', 'Username is required').not().isEmpty(),
+  check('duration', 'Duration must be a number of days between 1 and 3650').optional({ values: 'falsy' }).isInt({ min: 1, max: 3650 }),
+  check('reason', 'Reason cannot be more than 300 characters').optional().isLength({ max: 300 }),
+  check('modNote', 'Mod note cannot be more than 300 characters').optional().isLength({ max: 300 })
+];
 
 const router = express.Router();
 
 router.route('/')
-  .get(getCommunities)
+  .get(optionalAuth, getCommunities)
   .post([
     protect,
+    requireVerifiedEmail,
     check('name', 'Name is required').not().isEmpty(),
     check('name', 'Name must be between 3 and 21 characters').isLength({ min: 3, max: 21 }),
     check('name', 'Name can only contain letters, numbers, and underscores').matches(/^[a-zA-Z0-9_]+$/),
-    check('description', 'Description is required').not().isEmpty()
+    check('description', 'Description is required').not().isEmpty(),
+    check('type', 'Type must be public, restricted or private').optional().isIn(['public', 'restricted', 'private'])
   ], createCommunity);
 
-router.get('/top', getTopCommunities);
+router.get('/top', optionalAuth, getTopCommunities);
 
 router.route('/:name')
-  .get(getCommunity)
+  .get(optionalAuth, getCommunity)
   .put(protect, updateCommunity);
 
 router.post('/:name/join', protect, joinCommunity);
 router.post('/:name/leave', protect, leaveCommunity);
-router.get('/:name/posts', getCommunityPosts);
+router.get('/:name/posts', optionalAuth, getCommunityPosts);
+
+router.route('/:name/approved')
+  .get(protect, getApprovedSubmitters)
+  .post([
+    protect,
+    check('username', 'Username is required').not().isEmpty()
+  ], addApprovedSubmitter);
+router.delete('/:name/approved/:username', protect, removeApprovedSubmitter);
+
+router.route('/:name/join-requests')
+  .get(protect, getJoinRequests)
+  .post([
+    protect,
+    check('message', 'Message cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ], requestToJoin);
+router.post('/:name/join-requests/:username/accept', protect, acceptJoinRequest);
+router.post('/:name/join-requests/:username/decline', protect, declineJoinRequest);
+
+router.get('/:name/moderators', optionalAuth, getModerators);
+router.route('/:name/moderators/invites')
+  .get(protect, getModeratorInvites)
+  .post([
+    protect,
+    check('username', 'Username is required').not().isEmpty()
+  ], inviteModerator);
+router.delete('/:name/moderators/invites/:username', protect, cancelModeratorInvite);
+router.post('/:name/moderators/accept', protect, acceptModeratorInvite);
+router.post('/:name/moderators/decline', protect, declineModeratorInvite);
+router.route('/:name/moderators/:username')
+  .put(protect, updateModeratorPermissions)
+  .delete(protect, removeModerator);
+
+router.route('/:name/bans')
+  .get(protect, getBans)
+  .post([protect, ...restrictionChecks], banUser);
+router.delete('/:name/bans/:username', protect, unbanUser);
+
+router.route('/:name/mutes')
+  .get(protect, getMutes)
+  .post([protect, ...restrictionChecks], muteUser);
+router.delete('/:name/mutes/:username', protect, unmuteUser);
+
+router.get('/:name/modqueue', protect, getModQueue);
+router.post('/:name/modqueue/:id', protect, moderateQueueItem);
+
+router.get('/:name/modlog', protect, getModLog);
+router.get('/:name/modlog/public', optionalAuth, getPublicModLog);
+
+router.route('/:name/automod')
+  .get(protect, getAutomodRules)
+  .put(protect, updateAutomodRules);
+router.post('/:name/automod/test', protect, testAutomodRules);
+
+router.post('/:name/transfer', [
+  protect,
+  check('username', 'Username is required').not().isEmpty()
+], transferCommunity);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getFeed } = require('../controllers/feed');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', optionalAuth, getFeed);
+
+module.exports = router;
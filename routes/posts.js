@@ -9,33 +9,65 @@ const {
   deletePost, 
   votePost, 
   getPostComments, 
-  addComment 
+  getMoreComments,
+  addComment,
+  removePost,
+  approvePost
 } = require('../controllers/posts');
-const { protect } = require('../middleware/auth');
+const {
+  lockPost,
+  unlockPost,
+  stickyPost,
+  unstickyPost,
+  setSuggestedSort,
+  distinguishPost,
+  undistinguishPost
+} = require('../controllers/threads');
+const { reportPost } = require('../controllers/reports');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.route('/')
-  .get(getPosts)
+  .get(optionalAuth, getPosts)
   .post([
     protect,
+    requireVerifiedEmail,
     check('title', 'Title is required').not().isEmpty(),
     check('community', 'Community is required').not().isEmpty()
   ], createPost);
 
 router.route('/:id')
-  .get(getPost)
+  .get(optionalAuth, getPost)
   .put(protect, updatePost)
   .delete(protect, deletePost);
 
 router.route('/:id/vote')
   .post(protect, votePost);
 
+router.get('/:id/comments/more', optionalAuth, getMoreComments);
+
 router.route('/:id/comments')
-  .get(getPostComments)
+  .get(optionalAuth, getPostComments)
   .post([
     protect,
+    requireVerifiedEmail,
     check('content', 'Content is required').not().isEmpty()
   ], addComment);
 
+router.post('/:id/remove', protect, removePost);
+router.post('/:id/approve', protect, approvePost);
+router.post('/:id/lock', protect, lockPost);
+router.post('/:id/unlock', protect, unlockPost);
+router.post('/:id/sticky', protect, stickyPost);
+router.post('/:id/unsticky', protect, unstickyPost);
+router.put('/:id/suggested-sort', protect, setSuggestedSort);
+router.post('/:id/distinguish', protect, distinguishPost);
+router.post('/:id/undistinguish', protect, undistinguishPost);
+
+router.post('/:id/report', [
+  protect,
+  check('reason', 'Reason cannot be more than 300 characters').optional().isLength({ max: 300 })
+], reportPost);
+
 module.exports = router;
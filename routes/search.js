@@ -0,0 +1,18 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { search } = require('../controllers/search');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', [
+  optionalAuth,
+  check('q', 'Please provide a search query of at most 200 characters').trim().isLength({ min: 1, max: 200 }),
+  check('type', 'Type must be post, comment, community or user').optional().isIn(['post', 'comment', 'community', 'user']),
+  check('sort', 'Sort must be relevance, new, old or top').optional().isIn(['relevance', 'new', 'old', 'top']),
+  check('t', 'Time must be hour, day, week, month, year or all').optional().isIn(['hour', 'day', 'week', 'month', 'year', 'all']),
+  check('from', 'From must be a date').optional().isISO8601(),
+  check('to', 'To must be a date').optional().isISO8601()
+], search);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const {
   getUserPosts, 
   getUserComments
 } = require('../controllers/users');
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -16,7 +16,7 @@ router.put('/profile', [
   protect,
   check('bio', 'Bio cannot be more than 500 characters').optional().isLength({ max: 500 })
 ], updateProfile);
-router.get('/:username/posts', getUserPosts);
-router.get('/:username/comments', getUserComments);
+router.get('/:username/posts', optionalAuth, getUserPosts);
+router.get('/:username/comments', optionalAuth, getUserComments);
 
 module.exports = router;
@@ -0,0 +1,57 @@
+// Store each comment's community, taken from its post, on comments created
+// before comments recorded it.
+//
+// Usage: npm run backfill:comment-communities
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let updated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    const result = await Comment.bulkWrite(ops);
+    updated += result.modifiedCount;
+    ops = [];
+  };
+
+  const cursor = Post.find()
+    .select('community')
+    .lean()
+    .cursor();
+
+  for await (const post of cursor) {
+    ops.push({
+      updateMany: {
+        filter: { post: post._id, community: { $exists: false } },
+        update: { $set: { community: post.community } }
+      }
+    });
+
+    if (ops.length === BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  if (ops.length) {
+    await flush();
+  }
+
+  console.log(`Set the community of ${updated} comments`);
+};
+
+run()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+// Recompute stored ranking scores for every post.
+//
+// Usage: npm run backfill:rankings
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const { hotScore, controversyScore, initialRisingScore } = require('../utils/ranking');
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let updated = 0;
+  let ops = [];
+
+  const cursor = Post.find()
+    .select('upvoteCount downvoteCount createdAt risingScore')
+    .lean()
+    .cursor();
+
+  for await (const post of cursor) {
+    const ups = post.upvoteCount || 0;
+    const downs = post.downvoteCount || 0;
+
+    const $set = {
+      voteScore: ups - downs,
+      hotScore: hotScore(ups, downs, post.createdAt),
+      controversyScore: controversyScore(ups, downs)
+    };
+
+    // Vote timestamps are not available, so start rising from creation time
+    if (!post.risingScore) {
+      $set.risingScore = initialRisingScore(post.createdAt);
+    }
+
+    ops.push({ updateOne: { filter: { _id: post._id }, update: { $set } } });
+
+    if (ops.length === BATCH_SIZE) {
+      await Post.bulkWrite(ops);
+      updated += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length) {
+    await Post.bulkWrite(ops);
+    updated += ops.length;
+  }
+
+  console.log(`Updated rankings for ${updated} posts`);
+};
+
+run()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
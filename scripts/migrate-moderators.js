@@ -0,0 +1,48 @@
+// Convert community moderator lists from plain user ids to moderator entries
+// with permissions and seniority. The creator becomes the most senior
+// moderator. Safe to re-run: converted communities are skipped.
+//
+// Usage: npm run migrate:moderators
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Community = require('../models/Community');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let migrated = 0;
+
+  // Read the raw collection, the old shape no longer matches the schema
+  const cursor = Community.collection.find({ 'moderators.0': { $type: 'objectId' } });
+
+  for await (const community of cursor) {
+    const ids = community.moderators.map(id => id.toString());
+    const creator = community.creator.toString();
+    const ordered = [creator, ...ids.filter(id => id !== creator)];
+
+    const moderators = [...new Set(ordered)].map(id => ({
+      user: new mongoose.Types.ObjectId(id),
+      permissions: ['all'],
+      addedAt: community.createdAt || new Date()
+    }));
+
+    await Community.collection.updateOne(
+      { _id: community._id },
+      { $set: { moderators, moderatorInvites: [] } }
+    );
+
+    migrated += 1;
+  }
+
+  console.log(`Migrated moderators for ${migrated} communities`);
+};
+
+run()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
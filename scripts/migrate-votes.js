@@ -0,0 +1,84 @@
+// Move the legacy `upvotes`/`downvotes` arrays on posts and comments into the
+// Vote collection and replace them with aggregate counts. Safe to re-run:
+// documents without the arrays are skipped and existing votes are kept.
+//
+// Usage: npm run migrate:votes
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const { hotScore, controversyScore } = require('../utils/ranking');
+
+dotenv.config();
+
+const migrate = async (Model, itemModel) => {
+  let migrated = 0;
+
+  // Read the raw collection, the arrays are no longer part of the schemas
+  const cursor = Model.collection.find({
+    $or: [{ upvotes: { $exists: true } }, { downvotes: { $exists: true } }]
+  });
+
+  for await (const doc of cursor) {
+    const values = new Map();
+
+    (doc.downvotes || []).forEach(user => values.set(user.toString(), -1));
+    // Upvotes win if a user somehow ended up in both arrays
+    (doc.upvotes || []).forEach(user => values.set(user.toString(), 1));
+
+    if (values.size > 0) {
+      await Vote.bulkWrite(
+        [...values].map(([user, value]) => ({
+          updateOne: {
+            filter: { user, item: doc._id },
+            update: { $setOnInsert: { user, item: doc._id, itemModel, value } },
+            upsert: true
+          }
+        }))
+      );
+    }
+
+    // Recount from the Vote collection so re-runs stay consistent
+    const [ups, downs] = await Promise.all([
+      Vote.countDocuments({ item: doc._id, value: 1 }),
+      Vote.countDocuments({ item: doc._id, value: -1 })
+    ]);
+
+    const $set = {
+      upvoteCount: ups,
+      downvoteCount: downs,
+      voteScore: ups - downs
+    };
+
+    if (itemModel === 'Post') {
+      $set.hotScore = hotScore(ups, downs, doc.createdAt);
+      $set.controversyScore = controversyScore(ups, downs);
+    }
+
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      { $set, $unset: { upvotes: '', downvotes: '' } }
+    );
+
+    migrated += 1;
+  }
+
+  console.log(`Migrated votes for ${migrated} ${itemModel.toLowerCase()}s`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Vote.syncIndexes();
+
+  await migrate(Post, 'Post');
+  await migrate(Comment, 'Comment');
+};
+
+run()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
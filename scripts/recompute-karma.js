@@ -0,0 +1,27 @@
+// Rebuild user karma from the scores of their posts and comments.
+//
+// Usage: npm run recompute:karma [-- <username>...]
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { recomputeKarma } = require('../utils/karma');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const usernames = process.argv.slice(2);
+  const filter = usernames.length ? { username: { $in: usernames } } : {};
+
+  const updated = await recomputeKarma(filter);
+
+  console.log(`Recomputed karma for ${updated} users`);
+};
+
+run()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+// Grant or revoke the site admin role. The first admin has to be created
+// this way, later ones can be promoted through the admin API.
+//
+// Usage: npm run set:admin -- <username> [--revoke]
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  const [username, flag] = process.argv.slice(2);
+
+  if (!username) {
+    throw new Error('Usage: npm run set:admin -- <username> [--revoke]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const role = flag === '--revoke' ? 'user' : 'admin';
+  const result = await User.updateOne({ username }, { $set: { role } });
+
+  if (result.matchedCount === 0) {
+    throw new Error(`User not found: ${username}`);
+  }
+
+  console.log(`Set role of ${username} to ${role}`);
+};
+
+run()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
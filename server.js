@@ -3,16 +3,24 @@ const express = require('express');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const morgan = require('morgan');
+const { checkConfig: checkMailConfig } = require('./utils/mailer');
+const User = require('./models/User');
 
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const commentRoutes = require('./routes/comments');
 const communityRoutes = require('./routes/communities');
 const userRoutes = require('./routes/users');
+const feedRoutes = require('./routes/feed');
+const adminRoutes = require('./routes/admin');
+const searchRoutes = require('./routes/search');
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a usable mail transport and client URL
+checkMailConfig();
+
 // Create Express app
 const app = express();
 
@@ -22,7 +30,13 @@ app.use(morgan('dev'));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+
+    // Create the automoderator and other system accounts before they are needed
+    return User.ensureSystemAccounts()
+      .catch(err => console.error('Could not create system accounts:', err));
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -31,6 +45,9 @@ app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/communities', communityRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -0,0 +1,380 @@
+// Rule-based automoderator.
+//
+// Each community keeps a list of rules (see Community.automodRules). New
+// posts and comments are checked against every enabled rule; a rule matches
+// when all of the conditions it sets match, and the actions of every matching
+// rule are combined and applied as the automoderator user.
+//
+// Patterns are moderator-written and run on every submission, so they use
+// RE2 syntax and matching, which runs in linear time: a pattern cannot
+// stall the server however it is written. Backreferences and lookarounds
+// are not supported.
+
+const { RE2JS } = require('re2js');
+const Community = require('../models/Community');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const ModAction = require('../models/ModAction');
+const { applyModAction } = require('./moderation');
+
+const MAX_RULES = 100;
+const MAX_PATTERN_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Conditions and actions that only make sense for posts
+const POST_ONLY_CONDITIONS = ['title', 'domains', 'postTypes'];
+const POST_ONLY_ACTIONS = ['flair', 'lock'];
+
+const CONDITIONS = ['title', 'content', 'domains', 'postTypes', 'accountAgeBelow', 'karmaBelow'];
+const ACTIONS = ['remove', 'modqueue', 'flair', 'lock', 'reply'];
+
+const DOMAIN_PATTERN = /^([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+const isSet = value => value !== undefined && value !== null &&
+  value !== '' && value !== false && !(Array.isArray(value) && value.length === 0);
+
+// Host name of a link without a leading "www.", or null
+const getDomain = url => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return null;
+  }
+};
+
+const compilePattern = pattern => RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+
+const getPostType = submission => {
+  if (submission.url) {
+    return 'link';
+  }
+
+  return submission.image ? 'image' : 'text';
+};
+
+// Validate automod rules before they are saved. Returns a list of errors
+// in the same shape as express-validator's, empty when the rules are valid.
+exports.validateRules = rules => {
+  const errors = [];
+  const error = (path, msg) => errors.push({ type: 'field', path, msg, location: 'body' });
+
+  if (!Array.isArray(rules)) {
+    error('rules', 'Rules must be a list');
+    return errors;
+  }
+
+  if (rules.length > MAX_RULES) {
+    error('rules', `A community cannot have more than ${MAX_RULES} automod rules`);
+  }
+
+  rules.forEach((rule, index) => {
+    const path = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+      error(path, 'Rule must be an object');
+      return;
+    }
+
+    const conditions = rule.conditions || {};
+    const actions = rule.actions || {};
+    const target = rule.target || 'any';
+
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      error(`${path}.name`, 'Please provide a rule name');
+    }
+
+    if (!Community.AUTOMOD_TARGETS.includes(target)) {
+      error(`${path}.target`, `Target must be one of: ${Community.AUTOMOD_TARGETS.join(', ')}`);
+    }
+
+    if (!CONDITIONS.some(field => isSet(conditions[field]))) {
+      error(`${path}.conditions`, 'Rule must set at least one condition');
+    }
+
+    if (!ACTIONS.some(field => isSet(actions[field]))) {
+      error(`${path}.actions`, 'Rule must set at least one action');
+    }
+
+    if (target !== 'post') {
+      POST_ONLY_CONDITIONS
+        .filter(field => isSet(conditions[field]))
+        .forEach(field => error(`${path}.conditions.${field}`, 'Only rules targeting posts can use this condition'));
+      POST_ONLY_ACTIONS
+        .filter(field => isSet(actions[field]))
+        .forEach(field => error(`${path}.actions.${field}`, 'Only rules targeting posts can use this action'));
+    }
+
+    ['title', 'content'].filter(field => isSet(conditions[field])).forEach(field => {
+      const pattern = conditions[field];
+
+      if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+        error(`${path}.conditions.${field}`, `Pattern must be text of at most ${MAX_PATTERN_LENGTH} characters`);
+        return;
+      }
+
+      try {
+        // Compiled without flags so errors quote the pattern as written
+        RE2JS.compile(pattern);
+      } catch (err) {
+        error(`${path}.conditions.${field}`, err.message);
+      }
+    });
+
+    if (isSet(conditions.domains) && (
+      !Array.isArray(conditions.domains) ||
+      !conditions.domains.every(domain => typeof domain === 'string' && DOMAIN_PATTERN.test(domain.toLowerCase()))
+    )) {
+      error(`${path}.conditions.domains`, 'Domains must be a list of domain names');
+    }
+
+    if (isSet(conditions.postTypes) && (
+      !Array.isArray(conditions.postTypes) ||
+      !conditions.postTypes.every(type => Community.POST_TYPES.includes(type))
+    )) {
+      error(`${path}.conditions.postTypes`, `Post types must be any of: ${Community.POST_TYPES.join(', ')}`);
+    }
+
+    ['accountAgeBelow', 'karmaBelow'].filter(field => isSet(conditions[field])).forEach(field => {
+      if (typeof conditions[field] !== 'number' || !Number.isFinite(conditions[field])) {
+        error(`${path}.conditions.${field}`, 'Must be a number');
+      }
+    });
+
+    if (isSet(actions.remove) && isSet(actions.modqueue)) {
+      error(`${path}.actions`, 'A rule cannot both remove and send to the modqueue');
+    }
+
+    ['remove', 'modqueue', 'lock'].filter(field => actions[field] !== undefined).forEach(field => {
+      if (typeof actions[field] !== 'boolean') {
+        error(`${path}.actions.${field}`, 'Must be true or false');
+      }
+    });
+
+    ['flair', 'reply'].filter(field => isSet(actions[field])).forEach(field => {
+      if (typeof actions[field] !== 'string') {
+        error(`${path}.actions.${field}`, 'Must be text');
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Check one rule against a submission:
+// { kind, title, content, url, image, author: { createdAt, karma } }
+const matchesRule = (rule, submission, now) => {
+  const conditions = rule.conditions || {};
+  const target = rule.target || 'any';
+
+  if (rule.enabled === false || (target !== 'any' && target !== submission.kind)) {
+    return false;
+  }
+
+  if (isSet(conditions.title) && !compilePattern(conditions.title).test(submission.title || '')) {
+    return false;
+  }
+
+  if (isSet(conditions.content) && !compilePattern(conditions.content).test(submission.content || '')) {
+    return false;
+  }
+
+  if (isSet(conditions.domains)) {
+    const domain = submission.url && getDomain(submission.url);
+    const matches = domain && conditions.domains.some(candidate => {
+      candidate = candidate.toLowerCase().replace(/^www\./, '');
+      return domain === candidate || domain.endsWith(`.${candidate}`);
+    });
+
+    if (!matches) {
+      return false;
+    }
+  }
+
+  if (isSet(conditions.postTypes) && !conditions.postTypes.includes(getPostType(submission))) {
+    return false;
+  }
+
+  if (isSet(conditions.accountAgeBelow) &&
+    !((now - new Date(submission.author.createdAt)) / DAY_MS < conditions.accountAgeBelow)) {
+    return false;
+  }
+
+  if (isSet(conditions.karmaBelow) && !(submission.author.karma < conditions.karmaBelow)) {
+    return false;
+  }
+
+  return true;
+};
+
+// Work out what the rules do to a submission without applying anything
+exports.evaluateRules = (rules, submission, now = Date.now()) => {
+  const result = {
+    matched: [],
+    remove: false,
+    modqueue: false,
+    flair: null,
+    lock: false,
+    replies: []
+  };
+
+  rules.filter(rule => matchesRule(rule, submission, now)).forEach(rule => {
+    const actions = rule.actions || {};
+
+    result.matched.push({ _id: rule._id, name: rule.name });
+    result.remove = result.remove || Boolean(actions.remove);
+    result.modqueue = result.modqueue || Boolean(actions.modqueue);
+    result.lock = result.lock || Boolean(actions.lock);
+
+    // The first matching rule decides the flair
+    if (actions.flair && result.flair === null) {
+      result.flair = actions.flair;
+    }
+
+    if (actions.reply) {
+      result.replies.push(actions.reply);
+    }
+  });
+
+  // Removal takes the item out of the modqueue anyway
+  if (result.remove) {
+    result.modqueue = false;
+  }
+
+  return result;
+};
+
+// The system account automod actions are recorded as. It is created at
+// startup and found by its system flag, never by username, so a user who
+// holds the username cannot pose as the automoderator.
+const getAutomodUser = () => User.getSystemAccount('automoderator');
+
+// Names of the matched rules, as the reason given for automod actions
+const getReason = (result, prefix) =>
+  `${prefix}: ${result.matched.map(rule => rule.name).join(', ')}`.slice(0, 300);
+
+// Put an item in the modqueue when its automod actions could not be applied,
+// so moderators review it instead of it going through unchecked. The report
+// has no reporter when even the automoderator account is unavailable.
+const holdForReview = async (community, item, kind, result, bot) => {
+  const { upsertedCount } = await Report.updateOne(
+    { item: item._id, reporter: bot ? bot._id : null },
+    {
+      $setOnInsert: {
+        itemModel: kind === 'post' ? 'Post' : 'Comment',
+        community: community._id,
+        reason: getReason(result, 'AutoModerator could not apply')
+      }
+    },
+    { upsert: true }
+  );
+
+  if (upsertedCount > 0) {
+    item.reportCount += 1;
+    await item.constructor.updateOne({ _id: item._id }, { $inc: { reportCount: 1 } });
+  }
+};
+
+// Apply the actions of an evaluation result to the item as the automoderator
+const applyActions = async (community, item, kind, result, bot) => {
+  const reason = getReason(result, 'AutoModerator');
+  const postId = kind === 'post' ? item._id : item.post;
+
+  if (result.flair !== null) {
+    item.flair = result.flair;
+    await ModAction.log({
+      community: community._id,
+      moderator: bot._id,
+      action: 'edit_flair',
+      targetUser: item.author,
+      targetPost: item._id,
+      reason,
+      details: { flair: result.flair }
+    });
+  }
+
+  if (result.lock) {
+    item.locked = true;
+    await ModAction.log({
+      community: community._id,
+      moderator: bot._id,
+      action: 'lock_post',
+      targetUser: item.author,
+      targetPost: item._id,
+      reason
+    });
+  }
+
+  if (result.remove) {
+    await applyModAction(item, 'remove', bot._id, community._id, reason);
+  } else {
+    await item.save();
+  }
+
+  if (result.modqueue) {
+    await Report.create({
+      item: item._id,
+      itemModel: kind === 'post' ? 'Post' : 'Comment',
+      community: community._id,
+      reporter: bot._id,
+      reason
+    });
+    item.reportCount += 1;
+    await item.constructor.updateOne({ _id: item._id }, { $inc: { reportCount: 1 } });
+  }
+
+  for (const reply of result.replies) {
+    await Comment.create({
+      content: reply,
+      author: bot._id,
+      post: postId,
+      community: community._id,
+      parent: kind === 'comment' ? item._id : null
+    });
+  }
+
+  if (result.replies.length > 0) {
+    await Post.updateOne({ _id: postId }, { $inc: { commentCount: result.replies.length } });
+
+    if (kind === 'post') {
+      item.commentCount += result.replies.length;
+    }
+  }
+};
+
+// Run a community's automod rules on a newly created post or comment
+// document and apply the resulting actions. Resolves to the evaluation
+// result.
+exports.runAutomod = async (community, item, kind, author) => {
+  const rules = community.automodRules || [];
+
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const result = exports.evaluateRules(rules, {
+    kind,
+    title: item.title,
+    content: item.content,
+    url: item.url,
+    image: item.image,
+    author
+  });
+
+  if (result.matched.length === 0) {
+    return result;
+  }
+
+  let bot = null;
+
+  try {
+    bot = await getAutomodUser();
+    await applyActions(community, item, kind, result, bot);
+  } catch (err) {
+    console.error(`AutoModerator could not act on ${kind} ${item._id}:`, err);
+    await holdForReview(community, item, kind, result, bot);
+  }
+
+  return result;
+};
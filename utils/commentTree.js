@@ -0,0 +1,247 @@
+// Comment trees for a post.
+//
+// All of a post's comments are loaded with one query and assembled in
+// memory. Trees are cut off at a maximum depth and a maximum number of
+// comments; whatever is left out is replaced by a "more" stub telling the
+// client where to continue and how many comments it stands for:
+//
+//   { kind: 'more', parent, offset, count, totalCount }
+//
+// `parent` is the comment whose replies continue from position `offset`
+// (null for top-level comments), `count` the number of replies left out and
+// `totalCount` the same including all of their descendants.
+
+const Comment = require('../models/Comment');
+const { wilsonScore, controversyScore, COMMENT_SORTS } = require('./ranking');
+
+const DEFAULT_DEPTH = 8;
+const MAX_DEPTH = 10;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 500;
+
+const ROOT = 'root';
+
+const DEFAULT_SORT = 'best';
+
+// Ancestors a permalink can show above its comment
+const MAX_CONTEXT = 8;
+
+const best = comment => wilsonScore(comment.upvoteCount || 0, comment.downvoteCount || 0);
+
+// Comparators for each sort, applied to the replies of every comment
+const SORT_COMPARATORS = {
+  best: (a, b) => best(b) - best(a),
+  top: (a, b) => b.voteScore - a.voteScore,
+  new: (a, b) => b.createdAt - a.createdAt,
+  old: (a, b) => a.createdAt - b.createdAt,
+  controversial: (a, b) =>
+    controversyScore(b.upvoteCount || 0, b.downvoteCount || 0) -
+    controversyScore(a.upvoteCount || 0, a.downvoteCount || 0),
+  // Threads the post author took part in come first, see buildCommentTree
+  qa: (a, b) => (b.authorReplied === true) - (a.authorReplied === true) || best(b) - best(a)
+};
+
+// Read `depth`, `limit` and `sort` from a query string, within bounds. The
+// sort falls back to the post's suggested sort, then to 'best'.
+exports.parseTreeOptions = (query, post) => ({
+  depth: Math.min(Math.max(parseInt(query.depth, 10) || DEFAULT_DEPTH, 1), MAX_DEPTH),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+  sort: COMMENT_SORTS.includes(query.sort)
+    ? query.sort
+    : (post && post.suggestedSort) || DEFAULT_SORT
+});
+
+// Load every comment of a post as plain objects, with their authors
+exports.loadPostComments = async postId =>
+  (await Comment.find({ post: postId }).populate('author', 'username'))
+    .map(comment => comment.toObject());
+
+// Assemble the replies of `parent` (null for the top level) from `offset`
+// into a tree of at most `limit` comments and `depth` levels, with replies
+// ordered by `sort` at every level. The 'qa' sort needs the post's author as
+// `opId`. Each comment gets `replyCount` and `replies`.
+exports.buildCommentTree = (comments, {
+  parent = null,
+  offset = 0,
+  depth,
+  limit,
+  sort = DEFAULT_SORT,
+  opId = null
+}) => {
+  const children = new Map();
+
+  comments.forEach(comment => {
+    const key = comment.parent ? comment.parent.toString() : ROOT;
+
+    if (!children.has(key)) {
+      children.set(key, []);
+    }
+    children.get(key).push(comment);
+  });
+
+  // Mark the comments the post author wrote or replied under
+  if (sort === 'qa' && opId) {
+    const byOp = comment => Boolean(comment.author) &&
+      (comment.author._id || comment.author).toString() === opId.toString();
+    // List the thread top down without recursion, since reply chains can be
+    // deeper than the call stack, then mark it bottom up so every reply is
+    // marked before its parent
+    const thread = [];
+    const stack = [...(children.get(ROOT) || [])];
+
+    while (stack.length > 0) {
+      const comment = stack.pop();
+      thread.push(comment);
+      stack.push(...(children.get(comment._id.toString()) || []));
+    }
+
+    for (let i = thread.length - 1; i >= 0; i--) {
+      const replies = children.get(thread[i]._id.toString()) || [];
+
+      thread[i].authorReplied = byOp(thread[i]) ||
+        replies.some(reply => reply.authorReplied === true);
+    }
+  }
+
+  // Pinned comments lead the top level whatever the sort; ties go to the
+  // older comment
+  const compare = SORT_COMPARATORS[sort] || SORT_COMPARATORS[DEFAULT_SORT];
+  children.forEach((siblings, key) => siblings.sort((a, b) =>
+    (key === ROOT ? (b.pinned === true) - (a.pinned === true) : 0) ||
+    compare(a, b) ||
+    a.createdAt - b.createdAt
+  ));
+
+  // Number of comments below a comment, memoised. Reply chains can be
+  // deeper than the call stack, so this walks them with an explicit stack,
+  // counting each comment once all of its replies are counted.
+  const descendants = new Map();
+  const countDescendants = id => {
+    const stack = [[id, false]];
+
+    while (stack.length > 0) {
+      const [key, repliesCounted] = stack.pop();
+      const replies = children.get(key) || [];
+
+      if (descendants.has(key)) {
+        continue;
+      }
+
+      if (repliesCounted) {
+        descendants.set(key, replies.reduce(
+          (total, reply) => total + 1 + descendants.get(reply._id.toString()),
+          0
+        ));
+      } else {
+        stack.push([key, true]);
+        replies.forEach(reply => stack.push([reply._id.toString(), false]));
+      }
+    }
+
+    return descendants.get(id);
+  };
+
+  const stub = (key, from) => {
+    const rest = children.get(key).slice(from);
+
+    return {
+      kind: 'more',
+      parent: key === ROOT ? null : key,
+      offset: from,
+      count: rest.length,
+      totalCount: rest.reduce(
+        (total, comment) => total + 1 + countDescendants(comment._id.toString()),
+        0
+      )
+    };
+  };
+
+  // Fill the tree breadth first, so shallow comments are shown before deep
+  // ones when the limit is reached
+  const tree = [];
+  const queue = [{ key: parent ? parent.toString() : ROOT, replies: tree, from: offset, level: 0 }];
+  let remaining = limit;
+  let count = 0;
+
+  for (let next = 0; next < queue.length; next++) {
+    const { key, replies, from, level } = queue[next];
+    const siblings = children.get(key) || [];
+
+    for (let i = from; i < siblings.length; i++) {
+      if (remaining === 0) {
+        replies.push(stub(key, i));
+        break;
+      }
+
+      const id = siblings[i]._id.toString();
+      const node = {
+        ...siblings[i],
+        replyCount: (children.get(id) || []).length,
+        replies: []
+      };
+
+      replies.push(node);
+      remaining -= 1;
+      count += 1;
+
+      if (node.replyCount > 0) {
+        if (level + 1 < depth) {
+          queue.push({ key: id, replies: node.replies, from: 0, level: level + 1 });
+        } else {
+          node.replies.push(stub(id, 0));
+        }
+      }
+    }
+  }
+
+  return { tree, count };
+};
+
+// Read the permalink `context` (number of ancestors to show) from a query
+// string, within bounds
+exports.parseContext = query =>
+  Math.min(Math.max(parseInt(query.context, 10) || 0, 0), MAX_CONTEXT);
+
+// Build the tree for a comment permalink: the comment with its replies as in
+// buildCommentTree, wrapped in up to `context` ancestors. Each ancestor only
+// lists the reply leading to the comment, while `replyCount` still gives the
+// real number of replies. The comment itself is marked `highlighted`.
+exports.buildPermalinkTree = (comments, commentId, { context = 0, ...options }) => {
+  const byId = new Map(comments.map(comment => [comment._id.toString(), comment]));
+  const replyCounts = new Map();
+
+  comments.forEach(comment => {
+    if (comment.parent) {
+      const key = comment.parent.toString();
+      replyCounts.set(key, (replyCounts.get(key) || 0) + 1);
+    }
+  });
+
+  const target = byId.get(commentId.toString());
+  const { tree: replies, count } = exports.buildCommentTree(comments, {
+    ...options,
+    parent: commentId,
+    limit: Math.max(options.limit - 1, 0)
+  });
+
+  let node = {
+    ...target,
+    highlighted: true,
+    replyCount: replyCounts.get(commentId.toString()) || 0,
+    replies
+  };
+  let total = count + 1;
+  let parent = target.parent && byId.get(target.parent.toString());
+
+  for (let level = 0; level < context && parent; level++) {
+    node = {
+      ...parent,
+      replyCount: replyCounts.get(parent._id.toString()) || 0,
+      replies: [node]
+    };
+    total += 1;
+    parent = parent.parent && byId.get(parent.parent.toString());
+  }
+
+  return { tree: [node], count: total };
+};
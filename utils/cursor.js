@@ -0,0 +1,196 @@
+// Cursor pagination for listings.
+//
+// Besides `page`, listings accept `after` or `before`: an opaque cursor
+// pointing at an item, returned in the `cursors` of every response. Listing
+// from a cursor filters on the sort key instead of skipping items, so it stays
+// fast at depth and does not repeat or skip items when new ones are added.
+//
+// A cursor holds the item's values for each field of the sort, plus `_id` to
+// break ties, and is only valid for the sort it was created with.
+
+const mongoose = require('mongoose');
+
+// Parse a sort string such as '-hotScore -createdAt' into [field, direction]
+// pairs, ending with _id so the order is total
+const getSortKeys = sort => {
+  const keys = String(sort).split(/[\s,]+/).filter(Boolean).map(field =>
+    field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+  );
+
+  if (!keys.some(([field]) => field === '_id')) {
+    keys.push(['_id', keys.length > 0 ? keys[keys.length - 1][1] : 1]);
+  }
+
+  return keys;
+};
+
+const getSignature = keys =>
+  keys.map(([field, direction]) => (direction === -1 ? '-' : '') + field).join(' ');
+
+// Dates and ids would come back from JSON as strings, so they are tagged
+const encodeValue = value => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toString() };
+  }
+
+  return value === undefined ? null : value;
+};
+
+const decodeValue = value => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+
+    if (typeof value.$oid === 'string') {
+      return mongoose.isValidObjectId(value.$oid)
+        ? new mongoose.Types.ObjectId(value.$oid)
+        : undefined;
+    }
+
+    return undefined;
+  }
+
+  return value;
+};
+
+const encodeCursor = (doc, keys) => Buffer.from(JSON.stringify({
+  s: getSignature(keys),
+  v: keys.map(([field]) => encodeValue(doc.get(field)))
+})).toString('base64url');
+
+// Items strictly after (or before) the cursor values in the sort order:
+// equal on every earlier key and past the cursor on the next one
+const keysetFilter = (keys, values, direction) => ({
+  $or: keys.map(([field, order], index) => {
+    const forward = direction === 'after' ? order === 1 : order === -1;
+    const condition = {};
+
+    keys.slice(0, index).forEach(([earlier], i) => {
+      condition[earlier] = values[i];
+    });
+    condition[field] = { [forward ? '$gt' : '$lt']: values[index] };
+
+    return condition;
+  })
+});
+
+// Read `after` or `before` from a query string for a listing sorted by
+// `sort`. Returns { error } when the cursor is invalid.
+exports.parseCursor = (query, sort) => {
+  const keys = getSortKeys(sort);
+
+  if (query.after !== undefined && query.before !== undefined) {
+    return { error: 'Use either after or before, not both' };
+  }
+
+  const direction = query.after !== undefined ? 'after'
+    : query.before !== undefined ? 'before'
+      : null;
+
+  if (!direction) {
+    return { keys, direction, values: null };
+  }
+
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(String(query[direction]), 'base64url').toString());
+  } catch (err) {
+    payload = null;
+  }
+
+  if (!payload || typeof payload.s !== 'string' || !Array.isArray(payload.v)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (payload.s !== getSignature(keys)) {
+    return { error: 'Cursor does not match the sort of this listing' };
+  }
+
+  if (payload.v.length !== keys.length) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const values = payload.v.map(decodeValue);
+
+  if (values.some(value => value === undefined)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { keys, direction, values };
+};
+
+// Sort, page and run a listing query, by cursor when one was given and by
+// page otherwise. `page` and `total` are only used for pages. Resolves to
+// { items, pagination, cursors }, where `pagination` is the page based
+// next/prev and `cursors` the cursors before the first and after the last
+// item, null where there is nothing more.
+exports.paginate = async (query, cursor, { page, limit, total }) => {
+  const { keys, direction, values } = cursor;
+  const reverse = direction === 'before';
+  const sort = {};
+
+  keys.forEach(([field, order]) => {
+    sort[field] = reverse ? -order : order;
+  });
+
+  query = query.sort(sort);
+
+  // Cursors are built from the sort fields, so they have to be selected
+  if (query.selectedInclusively()) {
+    query = query.select(keys.map(([field]) => field).join(' '));
+  }
+
+  const pagination = {};
+  const cursors = { before: null, after: null };
+
+  if (!direction) {
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const items = await query.skip(startIndex).limit(limit);
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    if (items.length > 0) {
+      cursors.before = startIndex > 0 ? encodeCursor(items[0], keys) : null;
+      cursors.after = endIndex < total ? encodeCursor(items[items.length - 1], keys) : null;
+    }
+
+    return { items, pagination, cursors };
+  }
+
+  // One extra item tells whether there is more past this page
+  const found = await query.and([keysetFilter(keys, values, direction)]).limit(limit + 1);
+  const more = found.length > limit;
+  const items = found.slice(0, limit);
+
+  if (reverse) {
+    items.reverse();
+  }
+
+  if (items.length > 0) {
+    // Coming from a cursor, there is always something on the other side
+    cursors.before = reverse && !more ? null : encodeCursor(items[0], keys);
+    cursors.after = !reverse && !more ? null : encodeCursor(items[items.length - 1], keys);
+  }
+
+  return { items, pagination, cursors };
+};
@@ -0,0 +1,71 @@
+// Karma helpers. Karma is kept up to date incrementally by Post.applyVote and
+// Comment.applyVote; this rebuilds it from the stored scores when the
+// counters need repairing.
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const BATCH_SIZE = 500;
+
+const sumScoresByAuthor = async (Model, authorIds) => {
+  const totals = await Model.aggregate([
+    { $match: { author: { $in: authorIds } } },
+    { $group: { _id: '$author', total: { $sum: '$voteScore' } } }
+  ]);
+
+  return new Map(totals.map(({ _id, total }) => [_id.toString(), total]));
+};
+
+const recomputeBatch = async userIds => {
+  const [postKarma, commentKarma] = await Promise.all([
+    sumScoresByAuthor(Post, userIds),
+    sumScoresByAuthor(Comment, userIds)
+  ]);
+
+  await User.bulkWrite(
+    userIds.map(id => {
+      const fromPosts = postKarma.get(id.toString()) || 0;
+      const fromComments = commentKarma.get(id.toString()) || 0;
+
+      return {
+        updateOne: {
+          filter: { _id: id },
+          update: {
+            $set: {
+              postKarma: fromPosts,
+              commentKarma: fromComments,
+              karma: fromPosts + fromComments
+            }
+          }
+        }
+      };
+    })
+  );
+};
+
+// Rebuild post and comment karma for the users matching `filter` (all users
+// by default). Resolves to the number of users updated.
+exports.recomputeKarma = async (filter = {}) => {
+  let updated = 0;
+  let batch = [];
+
+  const cursor = User.find(filter).select('_id').lean().cursor();
+
+  for await (const user of cursor) {
+    batch.push(user._id);
+
+    if (batch.length === BATCH_SIZE) {
+      await recomputeBatch(batch);
+      updated += batch.length;
+      batch = [];
+    }
+  }
+
+  if (batch.length) {
+    await recomputeBatch(batch);
+    updated += batch.length;
+  }
+
+  return updated;
+};
@@ -0,0 +1,200 @@
+// Whitelisted, typed query parameters for listing endpoints.
+//
+// Clients filter with `field=value` or `field[op]=value`, for example
+// `voteScore[gte]=10&createdAt[lt]=2024-01-01&community[in]=id1,id2`. Each
+// listing declares which fields can be filtered on and their types, and which
+// fields can be used in `sort` and `select`. Anything else is rejected with
+// errors in the same shape as express-validator's.
+
+const mongoose = require('mongoose');
+
+// Operators allowed for each field type
+const OPERATORS = {
+  objectId: ['eq', 'ne', 'in', 'nin'],
+  string: ['eq', 'ne', 'in', 'nin'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq', 'ne']
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+
+// Query keys come from clients, so lookups must not reach inherited
+// properties such as `constructor`
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const MAX_LIST_VALUES = 100;
+const MAX_STRING_LENGTH = 200;
+
+// Parameters every listing understands
+const LISTING_PARAMS = ['select', 'sort', 'page', 'limit', 'after', 'before'];
+
+// Convert one raw value to the field type; returns undefined when invalid
+const coerce = (type, value) => {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'objectId':
+      return /^[0-9a-fA-F]{24}$/.test(value) ? new mongoose.Types.ObjectId(value) : undefined;
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : undefined;
+    default:
+      return value.length <= MAX_STRING_LENGTH ? value : undefined;
+  }
+};
+
+const TYPE_NAMES = {
+  objectId: 'an id',
+  string: `text of at most ${MAX_STRING_LENGTH} characters`,
+  number: 'a number',
+  date: 'a date',
+  boolean: 'true or false'
+};
+
+// Parse a field list such as `-voteScore,createdAt` against a whitelist
+const parseFields = (value, allowed, allowDirection) => {
+  const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  const invalid = fields.filter(field =>
+    !allowed.includes(allowDirection ? field.replace(/^-/, '') : field)
+  );
+
+  return { fields, invalid };
+};
+
+// Parse `query` for a listing described by `spec`:
+//
+//   filters       field -> type ('objectId', 'string', 'number', 'date' or 'boolean')
+//   sort          fields that can be sorted on
+//   select        fields that can be selected
+//   params        other parameters the listing handles itself
+//   defaultSort, defaultLimit, maxLimit
+//
+// Returns { errors, filter, sort, select, page, limit }.
+exports.parseListQuery = (query, spec) => {
+  const errors = [];
+  const error = (path, msg, value) =>
+    errors.push({ type: 'field', value, msg, path, location: 'query' });
+  const ignored = [...LISTING_PARAMS, ...(spec.params || [])];
+  const filter = {};
+
+  Object.keys(query).filter(key => !ignored.includes(key)).forEach(key => {
+    const type = has(spec.filters, key) ? spec.filters[key] : undefined;
+
+    if (!type || !has(OPERATORS, type)) {
+      error(key, `Cannot filter on ${key}. Allowed filters: ${Object.keys(spec.filters).join(', ')}`);
+      return;
+    }
+
+    const raw = query[key];
+    const withOperators = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+    const clauses = withOperators ? raw : { eq: raw };
+    const conditions = {};
+
+    Object.keys(clauses).forEach(op => {
+      const path = withOperators ? `${key}[${op}]` : key;
+      const value = clauses[op];
+
+      if (!OPERATORS[type].includes(op)) {
+        error(path, `Operator ${op} is not allowed on ${key}. Allowed: ${OPERATORS[type].join(', ')}`);
+        return;
+      }
+
+      if (LIST_OPERATORS.includes(op)) {
+        const values = Array.isArray(value) ? value : String(value).split(',');
+        const coerced = values.map(item => coerce(type, item));
+
+        if (values.length > MAX_LIST_VALUES) {
+          error(path, `At most ${MAX_LIST_VALUES} values are allowed`, value);
+        } else if (coerced.some(item => item === undefined)) {
+          error(path, `Each value must be ${TYPE_NAMES[type]}`, value);
+        } else {
+          conditions[`$${op}`] = coerced;
+        }
+        return;
+      }
+
+      const coerced = coerce(type, value);
+
+      if (coerced === undefined) {
+        error(path, `Value must be ${TYPE_NAMES[type]}`, value);
+        return;
+      }
+
+      conditions[`$${op}`] = coerced;
+    });
+
+    // A lone equality stays a plain value so it can use indexes as before
+    const ops = Object.keys(conditions);
+    filter[key] = ops.length === 1 && ops[0] === '$eq' ? conditions.$eq : conditions;
+  });
+
+  let sort = spec.defaultSort;
+
+  if (query.sort !== undefined) {
+    const { fields, invalid } = parseFields(query.sort, spec.sort, true);
+
+    if (invalid.length > 0 || fields.length === 0) {
+      error('sort', `Cannot sort on ${invalid.join(', ') || 'nothing'}. Allowed: ${spec.sort.join(', ')}`, query.sort);
+    } else {
+      sort = fields.join(' ');
+    }
+  }
+
+  let select;
+
+  if (query.select !== undefined) {
+    const { fields, invalid } = parseFields(query.select, spec.select, false);
+
+    if (invalid.length > 0 || fields.length === 0) {
+      error('select', `Cannot select ${invalid.join(', ') || 'nothing'}. Allowed: ${spec.select.join(', ')}`, query.select);
+    } else {
+      select = fields.join(' ');
+    }
+  }
+
+  const { errors: pageErrors, page, limit } = exports.parsePagination(query, spec);
+
+  return {
+    errors: [...errors, ...pageErrors],
+    filter,
+    sort,
+    select,
+    page,
+    limit
+  };
+};
+
+// Parse `page` and `limit` from `query`, for listings that take no other
+// listing parameters. `limit` is capped at `maxLimit`.
+//
+// Returns { errors, page, limit }.
+exports.parsePagination = (query, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const errors = [];
+  const error = (path, msg, value) =>
+    errors.push({ type: 'field', value, msg, path, location: 'query' });
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    error('page', 'Page must be a positive whole number', query.page);
+  }
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    error('limit', `Limit must be a whole number between 1 and ${maxLimit}`, query.limit);
+  }
+
+  return {
+    errors,
+    page,
+    limit: Math.min(limit, maxLimit)
+  };
+};
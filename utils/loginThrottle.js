@@ -0,0 +1,170 @@
+// Failed login tracking per account and per IP address.
+//
+// A few failures are free; after that each further failure locks the key for
+// twice as long as the previous one, up to LOCK_MAX_MS. Counters reset after
+// RESET_AFTER_MS without failures, and a successful login resets the account.
+//
+// LOGIN_THROTTLE_STORE selects where counters live: 'memory' (default, per
+// process) or 'mongo' (shared between instances). Other stores can be plugged
+// in with setStore(); a store implements:
+//   hit(key, ttlMs)  record a failure, resolves to { count, lastAt }
+//   get(key)         resolves to { count, lastAt } or null
+//   reset(key)
+
+const LoginThrottle = require('../models/LoginThrottle');
+
+const RESET_AFTER_MS = 60 * 60 * 1000;
+const LOCK_BASE_MS = 30 * 1000;
+// Never longer than RESET_AFTER_MS, so a lock cannot outlive its counter
+const LOCK_MAX_MS = 60 * 60 * 1000;
+
+const LIMITS = {
+  account: 5,
+  ip: 20
+};
+
+// Sweep expired records once the map grows past this size
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        records.delete(key);
+      }
+    });
+  };
+
+  const get = key => {
+    const record = records.get(key);
+
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+
+    return record || null;
+  };
+
+  return {
+    get: async key => {
+      const record = get(key);
+      return record && { count: record.count, lastAt: record.lastAt };
+    },
+    hit: async (key, ttlMs) => {
+      const now = Date.now();
+      const record = get(key) || { count: 0 };
+
+      record.count += 1;
+      record.lastAt = new Date(now);
+      record.expiresAt = now + ttlMs;
+      records.set(key, record);
+
+      if (records.size > MEMORY_STORE_SWEEP_SIZE) {
+        sweep();
+      }
+
+      return { count: record.count, lastAt: record.lastAt };
+    },
+    reset: async key => {
+      records.delete(key);
+    }
+  };
+};
+
+const createMongoStore = () => ({
+  get: async key => LoginThrottle.findOne({ key, expiresAt: { $gt: Date.now() } }),
+  hit: async (key, ttlMs) => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    // Expired records may not have been cleaned up by the TTL index yet
+    const current = await LoginThrottle.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 }, $set: { lastAt: now, expiresAt } },
+      { new: true }
+    );
+
+    if (current) {
+      return current;
+    }
+
+    return LoginThrottle.findOneAndUpdate(
+      { key },
+      { $set: { count: 1, lastAt: now, expiresAt } },
+      { new: true, upsert: true }
+    );
+  },
+  reset: async key => {
+    await LoginThrottle.deleteOne({ key });
+  }
+});
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    store = process.env.LOGIN_THROTTLE_STORE === 'mongo'
+      ? createMongoStore()
+      : createMemoryStore();
+  }
+
+  return store;
+};
+
+exports.setStore = newStore => {
+  store = newStore;
+};
+
+exports.createMemoryStore = createMemoryStore;
+exports.createMongoStore = createMongoStore;
+
+// How long a key with `count` failures stays locked after its last failure
+const lockDuration = (count, limit) => {
+  if (count < limit) {
+    return 0;
+  }
+
+  return Math.min(LOCK_BASE_MS * 2 ** (count - limit), LOCK_MAX_MS);
+};
+
+const keysFor = (username, ip) => ({
+  account: `account:${String(username || '').toLowerCase()}`,
+  ip: `ip:${ip}`
+});
+
+// Resolve to the number of seconds until the account or IP may try again,
+// or 0 if neither is locked
+exports.getRetryAfter = async (username, ip) => {
+  const keys = keysFor(username, ip);
+  let until = 0;
+
+  for (const type of Object.keys(keys)) {
+    const record = await getStore().get(keys[type]);
+
+    if (record) {
+      const lockedUntil = new Date(record.lastAt).getTime() +
+        lockDuration(record.count, LIMITS[type]);
+      until = Math.max(until, lockedUntil);
+    }
+  }
+
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+};
+
+// Record a failed attempt against the account and IP
+exports.registerFailure = async (username, ip) => {
+  const keys = keysFor(username, ip);
+
+  await Promise.all(Object.keys(keys).map(type =>
+    getStore().hit(keys[type], RESET_AFTER_MS)
+  ));
+};
+
+// Clear the account's failures after a successful login
+exports.registerSuccess = async username => {
+  await getStore().reset(keysFor(username).account);
+};
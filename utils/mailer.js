@@ -0,0 +1,93 @@
+// Pluggable mail delivery.
+//
+// MAIL_TRANSPORT selects the transport: 'console' (default) logs messages,
+// 'file' writes each message as JSON into MAIL_DIR, and any other value is
+// loaded as a module path exporting `send(message)`. Transports can also be
+// swapped at runtime with setTransport(), e.g. from tests.
+//
+// The console and file transports keep reset and verification links in logs
+// and on disk, so production (NODE_ENV=production) requires a real one.
+//
+// Emailed links point at the client app at CLIENT_URL, which is required.
+// Links are never built from request headers: a forged Host header would
+// send reset and verification tokens to another server.
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleTransport = {
+  send: async message => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`);
+  }
+};
+
+const fileTransport = {
+  send: async message => {
+    const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+    const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+  }
+};
+
+// Transports only meant for development
+const DEV_TRANSPORTS = ['console', 'file'];
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+
+    if (process.env.NODE_ENV === 'production' && DEV_TRANSPORTS.includes(name)) {
+      throw new Error('MAIL_TRANSPORT must be set to a mail delivery module in production');
+    }
+
+    if (name === 'console') {
+      transport = consoleTransport;
+    } else if (name === 'file') {
+      transport = fileTransport;
+    } else {
+      transport = require(path.resolve(name));
+    }
+  }
+
+  return transport;
+};
+
+const getClientUrl = () => {
+  if (!process.env.CLIENT_URL) {
+    throw new Error('CLIENT_URL must be set to the client app URL emailed links point at');
+  }
+
+  return process.env.CLIENT_URL.replace(/\/+$/, '');
+};
+
+// Load the configured transport and check the client URL. Both are required
+// in production; elsewhere a missing CLIENT_URL only fails sending links.
+exports.checkConfig = () => {
+  getTransport();
+
+  if (process.env.NODE_ENV === 'production') {
+    getClientUrl();
+  } else if (!process.env.CLIENT_URL) {
+    console.warn('CLIENT_URL is not set, emails with links cannot be sent');
+  }
+};
+
+// Base URL of the client app used in emailed links
+exports.getClientUrl = getClientUrl;
+
+exports.setTransport = newTransport => {
+  transport = newTransport;
+};
+
+// Send a plain text email
+exports.sendMail = ({ to, subject, text }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+  });
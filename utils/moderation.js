@@ -0,0 +1,60 @@
+// Moderator actions on posts and comments, shared by the modqueue and the
+// per-item moderation endpoints.
+
+const Report = require('../models/Report');
+const ModAction = require('../models/ModAction');
+
+const MOD_ACTIONS = ['approve', 'remove', 'ignore'];
+
+exports.MOD_ACTIONS = MOD_ACTIONS;
+
+// Apply a moderator action to a post or comment document in `communityId`,
+// resolve its open reports and record it in the mod log. Resolves to the
+// saved item.
+exports.applyModAction = async (item, action, moderatorId, communityId, reason = '') => {
+  const now = Date.now();
+  let resolution;
+
+  switch (action) {
+    case 'approve':
+      item.removed = false;
+      item.removedBy = undefined;
+      item.removedAt = undefined;
+      item.approvedBy = moderatorId;
+      item.approvedAt = now;
+      resolution = 'approved';
+      break;
+    case 'remove':
+      item.removed = true;
+      item.removedBy = moderatorId;
+      item.removedAt = now;
+      resolution = 'removed';
+      break;
+    case 'ignore':
+      item.ignoreReports = true;
+      resolution = 'ignored';
+      break;
+    default:
+      throw new Error(`Unknown moderator action: ${action}`);
+  }
+
+  await item.save();
+  await Report.resolveFor(item._id, resolution, moderatorId);
+
+  const isPost = item.constructor.modelName === 'Post';
+  const logAction = action === 'ignore'
+    ? `ignore_${isPost ? 'post' : 'comment'}_reports`
+    : `${action}_${isPost ? 'post' : 'comment'}`;
+
+  await ModAction.log({
+    community: communityId,
+    moderator: moderatorId,
+    action: logAction,
+    targetUser: item.author,
+    targetPost: isPost ? item._id : item.post,
+    targetComment: isPost ? undefined : item._id,
+    reason
+  });
+
+  return item;
+};
@@ -0,0 +1,212 @@
+// Ranking helpers for post listings and comment trees.
+//
+// Scores are stored on each post and refreshed whenever its votes change, so
+// listings can sort on an indexed field instead of ranking whole collections
+// per request.
+
+// Reference point for time-based scores (same epoch reddit uses)
+const EPOCH_SECONDS = 1134028003;
+
+// Seconds of age that are worth one order of magnitude of votes in 'hot'
+const HOT_DECAY_SECONDS = 45000;
+
+// Half-life style constant for the 'rising' vote velocity
+const RISING_DECAY_SECONDS = 3 * 60 * 60;
+
+// Only posts younger than this are eligible for 'rising'
+const RISING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Time windows accepted by the 'top' and 'controversial' sorts
+const TIME_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const SORT_MODES = ['hot', 'new', 'top', 'rising', 'controversial'];
+
+// `t` comes from clients, so lookups must not reach inherited properties
+// such as `constructor`
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Sorts for comment trees, see utils/commentTree.js
+const COMMENT_SORTS = ['best', 'top', 'new', 'old', 'controversial', 'qa'];
+
+// z-score for the 80% confidence level used by the 'best' comment sort
+const WILSON_Z = 1.281551565545;
+
+const secondsSinceEpoch = date =>
+  new Date(date).getTime() / 1000 - EPOCH_SECONDS;
+
+// Time-decayed score: a post needs 10x the votes to outrank one that is
+// 12.5 hours newer
+exports.hotScore = (upvotes, downvotes, createdAt) => {
+  const score = upvotes - downvotes;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
+
+  return Number(
+    (sign * order + secondsSinceEpoch(createdAt) / HOT_DECAY_SECONDS).toFixed(7)
+  );
+};
+
+// High vote volume with a balanced up/down split ranks highest
+exports.controversyScore = (upvotes, downvotes) => {
+  if (upvotes <= 0 || downvotes <= 0) {
+    return 0;
+  }
+
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+
+  return Math.pow(magnitude, balance);
+};
+
+// Lower bound of the Wilson score interval for the share of upvotes, so a
+// comment with few votes is not ranked on a lucky early ratio
+exports.wilsonScore = (upvotes, downvotes) => {
+  const n = upvotes + downvotes;
+
+  if (n === 0) {
+    return 0;
+  }
+
+  const p = upvotes / n;
+  const z2 = WILSON_Z * WILSON_Z;
+
+  return (
+    p + z2 / (2 * n) - WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)
+  ) / (1 + z2 / n);
+};
+
+// 'rising' tracks an exponentially decaying count of upvotes. The stored value
+// is ln(velocity) shifted by the time of the last update, which keeps the
+// relative order of posts correct without having to decay every post as time
+// passes. A new post starts with the weight of a single vote.
+exports.initialRisingScore = createdAt =>
+  secondsSinceEpoch(createdAt) / RISING_DECAY_SECONDS;
+
+// Add one upvote at `date` to a stored rising score
+exports.addRisingVote = (risingScore, date = new Date()) => {
+  const vote = secondsSinceEpoch(date) / RISING_DECAY_SECONDS;
+
+  if (risingScore === undefined || risingScore === null) {
+    return vote;
+  }
+
+  // log(e^a + e^b) without overflowing
+  const high = Math.max(risingScore, vote);
+  const low = Math.min(risingScore, vote);
+
+  return high + Math.log1p(Math.exp(low - high));
+};
+
+// The same scores as aggregation expressions over a post's own fields, so a
+// vote can update the counters and the rankings in one atomic update
+exports.scoreExpressions = {
+  hotScore: () => {
+    const score = { $subtract: ['$upvoteCount', '$downvoteCount'] };
+
+    return {
+      $round: [{
+        $add: [
+          {
+            $multiply: [
+              { $cmp: [score, 0] },
+              { $log10: { $max: [{ $abs: score }, 1] } }
+            ]
+          },
+          {
+            $divide: [
+              { $subtract: [{ $divide: [{ $toLong: '$createdAt' }, 1000] }, EPOCH_SECONDS] },
+              HOT_DECAY_SECONDS
+            ]
+          }
+        ]
+      }, 7]
+    };
+  },
+
+  controversyScore: () => ({
+    $cond: [
+      { $or: [{ $lte: ['$upvoteCount', 0] }, { $lte: ['$downvoteCount', 0] }] },
+      0,
+      {
+        $pow: [
+          { $add: ['$upvoteCount', '$downvoteCount'] },
+          {
+            $cond: [
+              { $gt: ['$upvoteCount', '$downvoteCount'] },
+              { $divide: ['$downvoteCount', '$upvoteCount'] },
+              { $divide: ['$upvoteCount', '$downvoteCount'] }
+            ]
+          }
+        ]
+      }
+    ]
+  }),
+
+  // See addRisingVote
+  addRisingVote: (date = new Date()) => {
+    const vote = secondsSinceEpoch(date) / RISING_DECAY_SECONDS;
+    const current = { $ifNull: ['$risingScore', null] };
+
+    return {
+      $cond: [
+        { $eq: [current, null] },
+        vote,
+        {
+          $add: [
+            { $max: [current, vote] },
+            { $ln: { $add: [1, { $exp: { $subtract: [{ $min: [current, vote] }, { $max: [current, vote] }] } }] } }
+          ]
+        }
+      ]
+    };
+  }
+};
+
+exports.SORT_MODES = SORT_MODES;
+exports.COMMENT_SORTS = COMMENT_SORTS;
+exports.TIME_WINDOWS = TIME_WINDOWS;
+
+// Build the extra filter and sort for a named listing mode.
+// Returns null if `sort` is not a ranking mode, and { error } if `t` is not
+// a known time window.
+exports.getPostSort = (sort, t) => {
+  if (!SORT_MODES.includes(sort)) {
+    return null;
+  }
+
+  if (t !== undefined && !has(TIME_WINDOWS, t)) {
+    return { error: `Time must be one of ${Object.keys(TIME_WINDOWS).join(', ')}` };
+  }
+
+  const filter = {};
+  const window = t === undefined ? null : TIME_WINDOWS[t];
+
+  switch (sort) {
+    case 'hot':
+      return { filter, sort: '-hotScore -createdAt' };
+    case 'new':
+      return { filter, sort: '-createdAt' };
+    case 'rising':
+      filter.createdAt = { $gte: new Date(Date.now() - RISING_WINDOW_MS) };
+      return { filter, sort: '-risingScore -createdAt' };
+    case 'top':
+      if (window) {
+        filter.createdAt = { $gte: new Date(Date.now() - window) };
+      }
+      return { filter, sort: '-voteScore -createdAt' };
+    case 'controversial':
+      if (window) {
+        filter.createdAt = { $gte: new Date(Date.now() - window) };
+      }
+      return { filter, sort: '-controversyScore -createdAt' };
+    default:
+      return null;
+  }
+};
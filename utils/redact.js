@@ -0,0 +1,74 @@
+// Rendering of deleted and removed posts and comments.
+//
+// Author deletion and moderator removal keep the item in place so comment
+// trees stay intact, but its content and author are replaced with a
+// placeholder. Moderators of the community still see removed content.
+
+const Community = require('../models/Community');
+
+const DELETED = '[deleted]';
+const REMOVED = '[removed]';
+
+// Moderation details only moderators get to see
+const MODERATION_FIELDS = [
+  'reportCount',
+  'ignoreReports',
+  'approvedBy',
+  'approvedAt',
+  'removedBy',
+  'removedAt'
+];
+
+// Check if a user can see removed content and moderation details in a
+// community. Site admins can everywhere.
+exports.canModerate = async (communityId, user) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const community = await Community.findById(communityId).select('moderators');
+
+  return Boolean(community) && community.isModerator(user._id);
+};
+
+const redact = (item, hiddenFields, isModerator) => {
+  if (!isModerator) {
+    MODERATION_FIELDS.forEach(field => delete item[field]);
+  }
+
+  const placeholder = item.deleted ? DELETED : item.removed && !isModerator ? REMOVED : null;
+
+  if (placeholder) {
+    item.content = placeholder;
+    hiddenFields.forEach(field => delete item[field]);
+    item.author = { username: placeholder };
+  }
+
+  return item;
+};
+
+// Redact a plain post object for a viewer
+exports.redactPost = (post, isModerator = false) =>
+  redact(post, ['url', 'image'], isModerator);
+
+// Redact plain comment objects for a viewer, including nested `replies`
+exports.redactComments = (comments, isModerator = false) => {
+  comments.forEach(comment => {
+    // "more" stubs of comment trees have nothing to redact
+    if (comment.kind === 'more') {
+      return;
+    }
+
+    redact(comment, [], isModerator);
+
+    if (Array.isArray(comment.replies)) {
+      exports.redactComments(comment.replies, isModerator);
+    }
+  });
+
+  return comments;
+};
@@ -0,0 +1,69 @@
+// Highlighting for search results.
+//
+// Matching itself is done by MongoDB text indexes. Here each result gets
+// short snippets of the fields that mention a search term, with the position
+// of every match so clients can highlight them however they render text:
+//
+//   { field, text, matches: [[start, end], ...] }
+
+const SNIPPET_LENGTH = 200;
+const MAX_TERMS = 20;
+
+const ELLIPSIS = '…';
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a search query, without negated terms ("-word" and "-"phrase"")
+// since results never contain them
+exports.getSearchTerms = query => {
+  const positive = String(query).replace(/(^|\s)-("[^"]*"?|\S*)/g, ' ');
+  const words = positive.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+  return [...new Set(words)].slice(0, MAX_TERMS);
+};
+
+// Cut a snippet of `text` around its first match of `terms`. Terms match at
+// the start of a word, so "vote" also highlights "votes" and "voting" the way
+// the text index stems them. Returns null when nothing matches.
+exports.buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (typeof text !== 'string' || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}_]*`,
+    'giu'
+  );
+  const found = [...text.matchAll(pattern)];
+
+  if (found.length === 0) {
+    return null;
+  }
+
+  // Show a little of what comes before the first match, starting on a word
+  let start = Math.max(found[0].index - Math.floor(length / 4), 0);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < found[0].index ? space + 1 : start;
+  }
+
+  const end = Math.min(start + length, text.length);
+  const prefix = start > 0 ? ELLIPSIS : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + (end < text.length ? ELLIPSIS : ''),
+    matches: found
+      .filter(match => match.index >= start && match.index + match[0].length <= end)
+      .map(match => [match.index + shift, match.index + match[0].length + shift])
+  };
+};
+
+// Snippets for each of `fields` of a result that mentions a search term
+exports.highlight = (item, fields, terms) => fields
+  .map(field => {
+    const snippet = exports.buildSnippet(item[field], terms);
+    return snippet && { field, ...snippet };
+  })
+  .filter(Boolean);
@@ -0,0 +1,94 @@
+// Voting helpers. The Vote collection is the source of truth for who voted on
+// what; posts and comments only keep aggregate counts.
+
+const Vote = require('../models/Vote');
+
+// Concurrent votes by the same user can invalidate the state we read, in
+// which case the vote is retried against the fresh state
+const MAX_ATTEMPTS = 3;
+
+// Record a vote by `userId` on an item. Voting the same value twice retracts
+// the vote, voting the opposite value flips it.
+// Resolves to the previous and current vote values (1, -1 or 0).
+exports.castVote = async (userId, itemId, itemModel, value) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const existing = await Vote.findOne({ user: userId, item: itemId });
+
+    if (!existing) {
+      try {
+        await Vote.create({ user: userId, item: itemId, itemModel, value });
+      } catch (err) {
+        // Another request created the vote first
+        if (err.code === 11000) {
+          continue;
+        }
+        throw err;
+      }
+
+      return { previous: 0, current: value };
+    }
+
+    if (existing.value === value) {
+      const removed = await Vote.findOneAndDelete({ _id: existing._id, value });
+
+      if (removed) {
+        return { previous: value, current: 0 };
+      }
+    } else {
+      const flipped = await Vote.findOneAndUpdate(
+        { _id: existing._id, value: existing.value },
+        { value }
+      );
+
+      if (flipped) {
+        return { previous: existing.value, current: value };
+      }
+    }
+  }
+
+  throw new Error('Could not record vote, please try again');
+};
+
+// Counter increments for going from one vote value to another
+exports.voteDelta = (previous, current) => ({
+  upvoteCount: (current === 1 ? 1 : 0) - (previous === 1 ? 1 : 0),
+  downvoteCount: (current === -1 ? 1 : 0) - (previous === -1 ? 1 : 0),
+  voteScore: current - previous
+});
+
+// Add the caller's own vote (`userVote`: 1, -1 or 0) to plain post or comment
+// objects, including any nested `replies`, using a single query
+exports.attachUserVotes = async (items, user) => {
+  const all = [];
+
+  const collect = list => {
+    list.forEach(item => {
+      // Skip "more" stubs of comment trees
+      if (item.kind === 'more') {
+        return;
+      }
+
+      all.push(item);
+      if (Array.isArray(item.replies)) {
+        collect(item.replies);
+      }
+    });
+  };
+
+  collect(items);
+
+  const votes = user && all.length > 0
+    ? await Vote.find({
+      user: user._id,
+      item: { $in: all.map(item => item._id) }
+    }).select('item value')
+    : [];
+
+  const byItem = new Map(votes.map(vote => [vote.item.toString(), vote.value]));
+
+  all.forEach(item => {
+    item.userVote = byItem.get(item._id.toString()) || 0;
+  });
+
+  return items;
+};